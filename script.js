@@ -7,9 +7,10 @@
  * - Lap-based alarm system with independent timers per lap
  * - Keyboard shortcuts for all major actions
  * - Alarm triggering and audio playback
+ * - Session snapshot persisted to localStorage and restored on reload
  * 
  * Architecture:
- * - Main stopwatch timer runs continuously via setInterval
+ * - Alarm deadlines are scheduled on a Web Worker; displays redraw via requestAnimationFrame
  * - Each lap tracks its creation time and alarm configuration
  * - Alarm triggering logic checks elapsed time against alarm duration
  * - Alarms only trigger once per lap (prevented via 'triggered' flag)
@@ -20,460 +21,6289 @@
 // ============================================
 
 const state = {
-    isRunning: false,
-    elapsedTime: 0,            // Total elapsed milliseconds
-    startTime: null,           // Timestamp when stopwatch started
-    pausedTime: 0,             // Accumulated time before current run
-    currentLapStartTime: null, // Timestamp when current lap timer started
-    laps: [],                  // Array of lap objects
-    intervalId: null,          // Reference to setInterval for animation
-    defaultAlarmDurations: [    // Default alarm durations in milliseconds
+    timers: [],                // Independent stopwatch instances (see createTimer)
+    activeTimerId: null,       // Timer shown in the sidebar and lap list; shortcuts act on it
+    reviewSession: null,       // Read-only session shown in the lap list (import/history)
+    profiles: [],              // Named alarm-duration profiles (see Alarm Profiles)
+    defaultProfileId: null     // Profile given to new timers (the one picked last)
+};
+
+// Accent colors handed out to new timers in turn
+const TIMER_COLORS = ['#667eea', '#e67e22', '#27ae60', '#e84393', '#00a8a8', '#8e44ad', '#c0392b', '#2d3436'];
+
+/**
+ * Default alarm stages for each lap
+ * - warningLead: soft warning this long before the target (0 = off)
+ * - repeatInterval: while the lap runs over, repeat the alarm this often (0 = off)
+ * - escalate: each overrun repeat is louder than the last
+ */
+const DEFAULT_ALARM_STAGES = {
+    warningLead: 30 * 1000,
+    repeatInterval: 30 * 1000,
+    escalate: true
+};
+
+/**
+ * Playback volume per alarm stage (0-1)
+ * Overrun repeats start at 'due' and, when escalating, rise by
+ * overrunStep per repeat up to 1
+ */
+const ALARM_STAGE_VOLUMES = {
+    warning: 0.3,
+    due: 0.7,
+    overrunStep: 0.1
+};
+
+/**
+ * Default session budget of a profile: a limit on the whole session's
+ * elapsed time, on top of the per-lap alarms
+ * - duration: the budget (0 = no budget)
+ * - warnings: ring when this much of the budget is left (it also rings when it runs out)
+ * - sound: SOUND_LIBRARY key ('' = the default sound from Settings)
+ */
+const DEFAULT_SESSION_BUDGET = {
+    duration: 0,
+    warnings: [5 * 60 * 1000, 60 * 1000],
+    sound: ''
+};
+
+// Alarm stages in the order a lap reaches them
+const ALARM_STAGE_ORDER = ['pending', 'warning', 'due', 'overrun'];
+
+// Longest note that can be attached to a lap
+const LAP_NOTE_MAX_LENGTH = 200;
+
+/**
+ * Built-in profile, used when no profiles have been saved yet
+ * Matches the original fixed alarm durations
+ */
+const DEFAULT_PROFILE = {
+    id: 'default',
+    name: 'Standard',
+    durations: [
         5 * 60 * 1000,         // Lap 1: 5 minutes
         3 * 60 * 1000,         // Lap 2: 3 minutes
         3 * 60 * 1000,         // Lap 3: 3 minutes
         5 * 60 * 1000,         // Lap 4: 5 minutes
         5 * 60 * 1000          // Lap 5: 5 minutes
-    ]
+    ],
+    segments: [],              // Run-sheet segment names, one per duration ([] = plain laps)
+    rule: 'repeat-last',
+    autoAdvance: false,        // Record the lap and start the next one when the alarm is due
+    rounds: 0,                 // With autoAdvance: stop after this many laps (0 = no limit)
+    stages: { ...DEFAULT_ALARM_STAGES },
+    sound: '',                 // '' = use the default sound from Settings
+    budget: { ...DEFAULT_SESSION_BUDGET, warnings: [...DEFAULT_SESSION_BUDGET.warnings] }
+};
+
+/**
+ * What happens to laps past the end of a profile's duration list
+ * - repeat-last: keep using the last duration
+ * - cycle: start again from the first duration
+ * - none: further laps have no alarm
+ */
+const PROFILE_RULES = {
+    'repeat-last': 'Repeat last duration',
+    'cycle': 'Cycle through list',
+    'none': 'No alarm after list'
 };
 
+/**
+ * App-wide user settings, persisted separately from the session
+ * (see Settings section)
+ */
+const DEFAULT_SETTINGS = {
+    snoozeDelay: 60 * 1000,    // How long Snooze keeps the alarm quiet
+    alarmSound: 'bundled',     // Default sound (key of SOUND_LIBRARY)
+    masterVolume: 1,           // Multiplies every alarm's volume (0-1)
+    alertNotification: false,  // System notification when an alarm fires
+    alertTitleFlash: false,    // Flash the tab title and favicon while an alarm rings
+    alertVibrate: false,       // Vibrate (mobile) when an alarm fires
+    speechEnabled: false,      // Speak announcements aloud (speech synthesis)
+    speechVoice: '',           // voiceURI of the speaking voice ('' = browser default)
+    speechRate: 1,             // Speaking rate (0.5-2)
+    speakLap: true,            // Speak when a lap is recorded
+    speakWarning: true,        // Speak when a lap's warning stage starts
+    speakDue: true,            // Speak when a lap's alarm is due
+    speakOverrun: true,        // Speak each overrun repeat
+    speakBudget: true,         // Speak session budget warnings
+    speakSchedule: true,       // Speak scheduled start alerts and missed starts
+    displayMode: 'countup',    // Current lap display: 'countup' or 'countdown' (to the alarm)
+    timePrecision: 'seconds',  // Measured times shown to 'seconds', 'tenths' or 'hundredths'
+    webhookUrl: '',            // POST timer events here ('' = off)
+    bridgeOrigin: ''           // postMessage timer events to the embedding page at this origin ('' = off, '*' = any)
+};
+
+const settings = { ...DEFAULT_SETTINGS };
+
 // ============================================
 // DOM References
 // ============================================
 
 const elements = {
+    timerSidebar: document.getElementById('timer-sidebar'),
+    timerTabs: document.getElementById('timer-tabs'),
+    timerAddBtn: document.getElementById('timer-add-btn'),
+    timerNameInput: document.getElementById('timer-name-input'),
+    timerColorInput: document.getElementById('timer-color-input'),
+    timerRemoveBtn: document.getElementById('timer-remove-btn'),
+    tabSyncStatus: document.getElementById('tab-sync-status'),
+    scheduleInfo: document.getElementById('schedule-info'),
+    scheduleCountdown: document.getElementById('schedule-countdown'),
+    scheduleSummary: document.getElementById('schedule-summary'),
+    scheduleCancelBtn: document.getElementById('schedule-cancel-btn'),
+    scheduleMissed: document.getElementById('schedule-missed'),
+    scheduleMissedText: document.getElementById('schedule-missed-text'),
+    scheduleLateBtn: document.getElementById('schedule-late-btn'),
+    scheduleBackdateBtn: document.getElementById('schedule-backdate-btn'),
+    scheduleDismissBtn: document.getElementById('schedule-dismiss-btn'),
+    scheduleEditor: document.getElementById('schedule-editor'),
+    scheduleForm: document.getElementById('schedule-form'),
+    scheduleTimeInput: document.getElementById('schedule-time-input'),
+    scheduleDailyInput: document.getElementById('schedule-daily-input'),
+    scheduleAlertInput: document.getElementById('schedule-alert-input'),
+    scheduleError: document.getElementById('schedule-error'),
+    webhookUrlInput: document.getElementById('webhook-url-input'),
+    bridgeOriginInput: document.getElementById('bridge-origin-input'),
     stopwatchTime: document.getElementById('stopwatch-time'),
     startPauseBtn: document.getElementById('start-pause-btn'),
     lapBtn: document.getElementById('lap-btn'),
     resetBtn: document.getElementById('reset-btn'),
     lapsContainer: document.getElementById('laps-container'),
     currentLapTime: document.getElementById('current-lap-time'),
-    alarmSound: document.getElementById('alarm-sound')
+    currentLapInfo: document.getElementById('current-lap-info'),
+    currentLapLabel: document.getElementById('current-lap-label'),
+    lapRingProgress: document.getElementById('lap-ring-progress'),
+    runSheetInfo: document.getElementById('run-sheet-info'),
+    runSheetNext: document.getElementById('run-sheet-next'),
+    runSheetDelta: document.getElementById('run-sheet-delta'),
+    budgetInfo: document.getElementById('budget-info'),
+    budgetRemaining: document.getElementById('budget-remaining'),
+    budgetProjection: document.getElementById('budget-projection'),
+    displayModeBtn: document.getElementById('display-mode-btn'),
+    alarmSound: document.getElementById('alarm-sound'),
+    silenceBtn: document.getElementById('silence-btn'),
+    snoozeBtn: document.getElementById('snooze-btn'),
+    undoBtn: document.getElementById('undo-btn'),
+    redoBtn: document.getElementById('redo-btn'),
+    keyboardHints: document.getElementById('keyboard-hints'),
+    keymapList: document.getElementById('keymap-list'),
+    keymapError: document.getElementById('keymap-error'),
+    keymapResetBtn: document.getElementById('keymap-reset-btn'),
+    helpPanel: document.getElementById('help-panel'),
+    helpList: document.getElementById('help-list'),
+    helpCustomizeBtn: document.getElementById('help-customize-btn'),
+    settingsBtn: document.getElementById('settings-btn'),
+    settingsPanel: document.getElementById('settings-panel'),
+    settingsForm: document.getElementById('settings-form'),
+    settingsError: document.getElementById('settings-error'),
+    snoozeDelayInput: document.getElementById('snooze-delay-input'),
+    timePrecisionSelect: document.getElementById('time-precision-select'),
+    soundSelect: document.getElementById('sound-select'),
+    volumeInput: document.getElementById('volume-input'),
+    volumeValue: document.getElementById('volume-value'),
+    testSoundBtn: document.getElementById('test-sound-btn'),
+    customSoundInput: document.getElementById('custom-sound-input'),
+    customSoundName: document.getElementById('custom-sound-name'),
+    customSoundRemoveBtn: document.getElementById('custom-sound-remove-btn'),
+    alertNotificationInput: document.getElementById('alert-notification-input'),
+    alertTitleInput: document.getElementById('alert-title-input'),
+    alertVibrateInput: document.getElementById('alert-vibrate-input'),
+    notificationStatus: document.getElementById('notification-status'),
+    speechEnabledInput: document.getElementById('speech-enabled-input'),
+    speechStatus: document.getElementById('speech-status'),
+    speechVoiceSelect: document.getElementById('speech-voice-select'),
+    testSpeechBtn: document.getElementById('test-speech-btn'),
+    speechRateInput: document.getElementById('speech-rate-input'),
+    speechRateValue: document.getElementById('speech-rate-value'),
+    speakLapInput: document.getElementById('speak-lap-input'),
+    speakWarningInput: document.getElementById('speak-warning-input'),
+    speakDueInput: document.getElementById('speak-due-input'),
+    speakOverrunInput: document.getElementById('speak-overrun-input'),
+    speakBudgetInput: document.getElementById('speak-budget-input'),
+    speakScheduleInput: document.getElementById('speak-schedule-input'),
+    announcer: document.getElementById('announcer'),
+    favicon: document.getElementById('favicon'),
+    audioBanner: document.getElementById('audio-banner'),
+    audioUnlockBtn: document.getElementById('audio-unlock-btn'),
+    profileSoundSelect: document.getElementById('profile-sound-select'),
+    profileBudgetInput: document.getElementById('profile-budget-input'),
+    profileBudgetWarningsInput: document.getElementById('profile-budget-warnings-input'),
+    profileBudgetSoundSelect: document.getElementById('profile-budget-sound-select'),
+    profileSelect: document.getElementById('profile-select'),
+    profileNewBtn: document.getElementById('profile-new-btn'),
+    profileEditBtn: document.getElementById('profile-edit-btn'),
+    profileDeleteBtn: document.getElementById('profile-delete-btn'),
+    profileLockHint: document.getElementById('profile-lock-hint'),
+    profileDurationsTitle: document.getElementById('profile-durations-title'),
+    defaultAlarmsList: document.getElementById('default-alarms'),
+    profileRuleText: document.getElementById('profile-rule'),
+    profileEditor: document.getElementById('profile-editor'),
+    profileNameInput: document.getElementById('profile-name-input'),
+    profileDurationsInput: document.getElementById('profile-durations-input'),
+    profileRuleSelect: document.getElementById('profile-rule-select'),
+    profileAutoInput: document.getElementById('profile-auto-input'),
+    profileRoundsInput: document.getElementById('profile-rounds-input'),
+    profileWarningInput: document.getElementById('profile-warning-input'),
+    profileRepeatInput: document.getElementById('profile-repeat-input'),
+    profileEscalateInput: document.getElementById('profile-escalate-input'),
+    profileCancelBtn: document.getElementById('profile-cancel-btn'),
+    profileError: document.getElementById('profile-error'),
+    exportMenu: document.getElementById('export-menu'),
+    importBtn: document.getElementById('import-btn'),
+    importFileInput: document.getElementById('import-file-input'),
+    reviewBanner: document.getElementById('review-banner'),
+    reviewTitle: document.getElementById('review-title'),
+    reviewCloseBtn: document.getElementById('review-close-btn'),
+    historyBtn: document.getElementById('history-btn'),
+    historyPanel: document.getElementById('history-panel'),
+    historyList: document.getElementById('history-list'),
+    historySummary: document.getElementById('history-summary'),
+    statsBtn: document.getElementById('stats-btn'),
+    statsPanel: document.getElementById('stats-panel'),
+    statsScopeSelect: document.getElementById('stats-scope-select'),
+    statsProfileSelect: document.getElementById('stats-profile-select'),
+    statsLapSelect: document.getElementById('stats-lap-select'),
+    statsSummary: document.getElementById('stats-summary'),
+    statsTable: document.getElementById('stats-table'),
+    statsChart: document.getElementById('stats-chart'),
+    toastContainer: document.getElementById('toast-container')
 };
 
 // ============================================
-// Utility: Local Storage (Record Laps)
+// Utility: Local Storage (Session Snapshot)
 // ============================================
 
+const SESSION_STORAGE_KEY = 'stopwatchSession';
+const SESSION_SCHEMA_VERSION = 1;
+const TIMERS_STORAGE_KEY = 'stopwatchTimers';
+const TIMERS_SCHEMA_VERSION = 1;
+
+/**
+ * Get the local storage key of a timer's session snapshot
+ * @param {object} timer - Timer instance
+ * @returns {string} Storage key
+ */
+function getSessionStorageKey(timer) {
+    return `${SESSION_STORAGE_KEY}:${timer.id}`;
+}
+
 /**
- * Save lap data to local storage
- * Persists all recorded laps so they can be retrieved later
+ * Save a full snapshot of a timer's session to local storage
+ * Called on every state change (start, pause, lap, alarm trigger, alarm edits)
+ * so an accidental reload or browser crash can pick up where it left off.
+ * Each timer has its own snapshot. The change is also sent to the other tabs.
+ * @param {object} timer - Timer instance
  */
-function saveLapsToStorage() {
+function saveSessionToStorage(timer) {
+    const snapshot = getSessionSnapshot(timer);
     try {
-        const lapsData = state.laps.map(lap => ({
-            createdAt: lap.createdAt,
-            recordedTime: lap.recordedTime,
-            alarmDuration: lap.alarmDuration,
-            triggered: lap.triggered,
-            enabled: lap.enabled
-        }));
-        localStorage.setItem('lapsHistory', JSON.stringify(lapsData));
-        console.log('Laps saved to local storage');
+        localStorage.setItem(getSessionStorageKey(timer), JSON.stringify(snapshot));
     } catch (error) {
-        console.warn('Error saving laps to storage:', error);
+        console.warn('Error saving session to storage:', error);
+    }
+    broadcastSession(timer, snapshot);
+}
+
+/**
+ * Take a snapshot of a timer's session (also used for undo steps)
+ * @param {object} timer - Timer instance
+ * @returns {object} Plain, serializable snapshot
+ */
+function getSessionSnapshot(timer) {
+    return {
+        version: SESSION_SCHEMA_VERSION,
+        savedAt: getNow(),
+        isRunning: timer.isRunning,
+        startTime: timer.startTime,
+        pausedTime: timer.pausedTime,
+        currentLapStartTime: timer.currentLapStartTime,
+        profileId: timer.profileId,
+        budgetFired: [...timer.budgetFired],
+        budgetPlanOver: timer.budgetPlanOver,
+        laps: timer.laps.map(serializeLap)
+    };
+}
+
+/**
+ * Put a snapshot from getSessionSnapshot() back into a timer
+ * Times are timestamps from getNow(), so a running session carries on
+ * as if it had never stopped.
+ * @param {object} timer - Timer instance
+ * @param {object} snapshot - Session snapshot
+ */
+function applySessionSnapshot(timer, snapshot) {
+    timer.isRunning = Boolean(snapshot.isRunning);
+    timer.startTime = snapshot.startTime;
+    timer.pausedTime = snapshot.pausedTime || 0;
+    timer.currentLapStartTime = snapshot.currentLapStartTime;
+    if (state.profiles.some(profile => profile.id === snapshot.profileId)) {
+        timer.profileId = snapshot.profileId;
     }
+    timer.laps = snapshot.laps.map(deserializeLap);
+    timer.budgetFired = Array.isArray(snapshot.budgetFired) ? snapshot.budgetFired.filter(Number.isFinite) : [];
+    timer.budgetPlanOver = snapshot.budgetPlanOver === true;
 }
 
 /**
- * Load lap data from local storage
- * @returns {array} Array of saved lap objects, or empty array if none exist
+ * Convert a lap to the plain object stored in the session snapshot
+ * @param {object} lap - Lap object
+ * @returns {object} Serializable lap data
+ */
+function serializeLap(lap) {
+    return {
+        createdAt: lap.createdAt,
+        recordedTime: lap.recordedTime,
+        alarmDuration: lap.alarmDuration,
+        triggered: lap.triggered,
+        enabled: lap.enabled,
+        isRecorded: lap.isRecorded,
+        stages: { ...lap.stages },
+        alarmStage: lap.alarmStage,
+        overrunCount: lap.overrunCount,
+        silenced: lap.silenced,
+        snoozeCount: lap.snoozeCount,
+        snoozeUntil: lap.snoozeUntil,
+        sound: lap.sound,
+        segment: lap.segment,
+        autoAdvance: lap.autoAdvance,
+        autoRecorded: lap.autoRecorded,
+        note: lap.note
+    };
+}
+
+/**
+ * Rebuild a lap object from snapshot data, filling in fields that
+ * older snapshots don't have
+ * @param {object} data - Lap data from serializeLap()
+ * @returns {object} Lap object
+ */
+function deserializeLap(data) {
+    return {
+        createdAt: data.createdAt,
+        recordedTime: data.recordedTime || 0,
+        alarmDuration: data.alarmDuration,
+        triggered: Boolean(data.triggered),
+        enabled: Boolean(data.enabled),
+        isRecorded: Boolean(data.isRecorded),
+        stages: normalizeAlarmStages(data.stages),
+        alarmStage: data.alarmStage || (data.triggered ? 'due' : 'pending'),
+        overrunCount: data.overrunCount || 0,
+        silenced: Boolean(data.silenced),
+        snoozeCount: data.snoozeCount || 0,
+        snoozeUntil: Number.isFinite(data.snoozeUntil) ? data.snoozeUntil : null,
+        sound: typeof data.sound === 'string' ? data.sound : null,
+        segment: typeof data.segment === 'string' ? data.segment : null,
+        autoAdvance: Boolean(data.autoAdvance),
+        autoRecorded: Boolean(data.autoRecorded),
+        note: typeof data.note === 'string' ? data.note : ''
+    };
+}
+
+/**
+ * Load a session snapshot from local storage
+ * @param {string} storageKey - Key from getSessionStorageKey() (or the single-timer key of earlier versions)
+ * @returns {object|null} Saved snapshot, or null if none exists or it is unreadable
  */
-function loadLapsFromStorage() {
+function loadSessionFromStorage(storageKey) {
     try {
-        const stored = localStorage.getItem('lapsHistory');
+        const stored = localStorage.getItem(storageKey);
         if (stored) {
-            return JSON.parse(stored);
+            const snapshot = JSON.parse(stored);
+            if (snapshot && snapshot.version === SESSION_SCHEMA_VERSION && Array.isArray(snapshot.laps)) {
+                return snapshot;
+            }
         }
     } catch (error) {
-        console.warn('Error loading laps from storage:', error);
+        console.warn('Error loading session from storage:', error);
     }
-    return [];
+    return null;
 }
 
 /**
- * Clear all recorded lap history from local storage
+ * Clear a timer's saved session from local storage
+ * Also removes the keys written by earlier versions: the single-timer
+ * snapshot and the laps-only 'lapsHistory'
+ * @param {object} timer - Timer instance
  */
-function clearLapsHistory() {
+function clearSessionFromStorage(timer) {
     try {
+        localStorage.removeItem(getSessionStorageKey(timer));
+        localStorage.removeItem(SESSION_STORAGE_KEY);
         localStorage.removeItem('lapsHistory');
-        console.log('Lap history cleared');
+        console.log(`Saved session cleared (${timer.name})`);
     } catch (error) {
-        console.warn('Error clearing laps history:', error);
+        console.warn('Error clearing saved session:', error);
     }
+    broadcastSession(timer, null);
 }
 
 /**
- * Export recorded laps as JSON
- * @returns {string} JSON string of all recorded laps
+ * Save the list of timers (names, colors, profiles) and which one is focused
+ * Their sessions are stored separately, see saveSessionToStorage().
+ * The other tabs get the list too (each keeps its own focused timer).
  */
-function exportLapsAsJSON() {
-    const lapsData = state.laps.map((lap, index) => ({
-        lapNumber: index + 1,
-        createdAt: new Date(lap.createdAt).toISOString(),
-        recordedTime: formatTime(lap.recordedTime),
-        alarmDuration: formatTime(lap.alarmDuration),
-        triggered: lap.triggered,
-        enabled: lap.enabled
+function saveTimersToStorage() {
+    const timers = state.timers.map(timer => ({
+        id: timer.id,
+        name: timer.name,
+        color: timer.color,
+        profileId: timer.profileId,
+        schedule: timer.schedule
     }));
-    return JSON.stringify(lapsData, null, 2);
+    try {
+        localStorage.setItem(TIMERS_STORAGE_KEY, JSON.stringify({
+            version: TIMERS_SCHEMA_VERSION,
+            activeTimerId: state.activeTimerId,
+            timers
+        }));
+    } catch (error) {
+        console.warn('Error saving timers to storage:', error);
+    }
+    if (!tabSync.applyingRemote) {
+        postTabSyncMessage({ type: 'timers', timers });
+    }
 }
 
-// ============================================
-// Utility: Time Formatting
-// ============================================
-
 /**
- * Convert milliseconds to HH:MM:SS format
- * @param {number} milliseconds - Time in milliseconds
- * @returns {string} Formatted time string
+ * Load the list of timers saved by saveTimersToStorage()
+ * @returns {object|null} { activeTimerId, timers: [{ id, name, color, profileId, schedule }] }, or null if none is saved
  */
-function formatTime(milliseconds) {
-    const totalSeconds = Math.floor(milliseconds / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-
-    return [hours, minutes, seconds]
-        .map(unit => String(unit).padStart(2, '0'))
-        .join(':');
+function loadTimersFromStorage() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TIMERS_STORAGE_KEY));
+        if (stored && stored.version === TIMERS_SCHEMA_VERSION && Array.isArray(stored.timers)) {
+            const timers = stored.timers.filter(timer => timer && typeof timer.id === 'string' && typeof timer.name === 'string');
+            if (timers.length > 0) {
+                return { activeTimerId: stored.activeTimerId, timers };
+            }
+        }
+    } catch (error) {
+        console.warn('Error loading timers from storage:', error);
+    }
+    return null;
 }
 
 // ============================================
-// Utility: Audio Playback
+// Settings
 // ============================================
 
+const SETTINGS_STORAGE_KEY = 'appSettings';
+
 /**
- * Play the alarm sound from alarm_sound.mp3 file
- * Resets and plays the audio file from the beginning
+ * Load user settings from local storage into `settings`
+ * Unknown keys are ignored and missing ones keep their defaults.
  */
-function playAlarmSound() {
+function loadSettingsFromStorage() {
     try {
-        const audio = elements.alarmSound;
-        // Reset to beginning and play
-        audio.currentTime = 0;
-        audio.play().catch(error => {
-            console.warn('Failed to play alarm sound:', error);
-        });
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            Object.keys(DEFAULT_SETTINGS).forEach(key => {
+                if (typeof stored[key] === typeof DEFAULT_SETTINGS[key]) {
+                    settings[key] = stored[key];
+                }
+            });
+            if (!Object.hasOwn(TIME_PRECISION_DIGITS, settings.timePrecision)) {
+                settings.timePrecision = DEFAULT_SETTINGS.timePrecision;
+            }
+        }
     } catch (error) {
-        console.warn('Error playing alarm sound:', error);
+        console.warn('Error loading settings:', error);
     }
 }
 
 /**
- * Stop the currently playing alarm sound
+ * Save user settings to local storage
  */
-function stopAlarmSound() {
+function saveSettingsToStorage() {
     try {
-        const audio = elements.alarmSound;
-        audio.pause();
-        audio.currentTime = 0;
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
     } catch (error) {
-        console.warn('Error stopping alarm sound:', error);
+        console.warn('Error saving settings:', error);
     }
 }
 
 // ============================================
-// Core Stopwatch Logic
+// Utility: Keymap (Keyboard Shortcuts)
 // ============================================
 
+const KEYMAP_STORAGE_KEY = 'keymap';
+const KEYMAP_SCHEMA_VERSION = 1;
+
 /**
- * Start or resume the stopwatch
+ * Actions that can be bound to a key, in the order they are listed
+ * Bindings are key combos: optional Ctrl / Alt / Shift followed by a
+ * KeyboardEvent.code, e.g. 'KeyL' or 'Ctrl+Shift+KeyZ' (Cmd counts as Ctrl).
  */
-function startStopwatch() {
-    if (state.isRunning) return;
+const KEYMAP_ACTIONS = {
+    startPause: { label: 'Start/Pause', defaultKey: 'Space' },
+    lap: { label: 'Lap', defaultKey: 'KeyL' },
+    reset: { label: 'Reset', defaultKey: 'KeyR' },
+    silence: { label: 'Silence alarm', defaultKey: 'KeyS' },
+    snooze: { label: 'Snooze alarm', defaultKey: 'KeyZ' },
+    toggleCountdown: { label: 'Toggle countdown', defaultKey: 'KeyC' },
+    openHistory: { label: 'Open history', defaultKey: 'KeyH' },
+    undo: { label: 'Undo', defaultKey: 'Ctrl+KeyZ' },
+    redo: { label: 'Redo', defaultKey: 'Ctrl+Shift+KeyZ' },
+    fullscreen: { label: 'Fullscreen', defaultKey: 'KeyF' }
+};
 
-    state.isRunning = true;
-    state.startTime = Date.now() - state.pausedTime;
-    
-    // Initialize current lap timer on first start
-    if (state.currentLapStartTime === null) {
-        state.currentLapStartTime = state.startTime;
-    }
+// Keys with a fixed meaning that can't be bound: 1-9 focus a timer,
+// ? (Shift+/ on most layouts) opens the shortcut help, Escape closes panels
+const KEYMAP_RESERVED = ['Escape', 'Tab', 'Enter', 'Shift+Slash', ...Array.from({ length: 9 }, (_, i) => `Digit${i + 1}`)];
 
-    // Create the first lap box when stopwatch starts (only if no laps exist)
-    if (state.laps.length === 0) {
-        const lap = {
-            createdAt: Date.now(),
-            recordedTime: 0,
-            alarmDuration: state.defaultAlarmDurations[0] || 5 * 60 * 1000,
-            triggered: false,
-            enabled: true,
-            isRecorded: false  // Mark this as pending, not yet recorded
-        };
-        state.laps.push(lap);
-        renderLaps();
-    }
+// Current bindings: { action: combo }
+const keymap = {};
 
-    // Update UI
-    elements.startPauseBtn.textContent = 'Pause';
-    elements.lapBtn.disabled = false;
-    elements.resetBtn.disabled = false;
+/**
+ * Load the key bindings from local storage
+ * Saved bindings win; actions without one get their default key unless
+ * that is taken, in which case they stay unbound ('')
+ */
+function loadKeymapFromStorage() {
+    let bindings = {};
+    try {
+        const stored = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY));
+        if (stored && stored.version === KEYMAP_SCHEMA_VERSION && stored.bindings) {
+            bindings = stored.bindings;
+        }
+    } catch (error) {
+        console.warn('Error loading keymap:', error);
+    }
 
-    // Continuous animation loop (updating time display)
-    // Use requestAnimationFrame for smooth updates at ~60fps
-    state.intervalId = setInterval(() => {
-        updateStopwatchDisplay();
-        updateCurrentLapDisplay();
-        checkLapAlarms();
-    }, 100); // Update every 100ms for smooth display without excessive CPU usage
+    Object.keys(KEYMAP_ACTIONS).forEach(action => {
+        keymap[action] = '';
+    });
+    Object.entries(bindings).forEach(([action, combo]) => {
+        if (KEYMAP_ACTIONS[action] && typeof combo === 'string' && combo !== '' && getKeymapConflict(combo, action) === null) {
+            keymap[action] = combo;
+        }
+    });
+    Object.entries(KEYMAP_ACTIONS).forEach(([action, definition]) => {
+        if (keymap[action] === '' && getKeymapAction(definition.defaultKey) === null) {
+            keymap[action] = definition.defaultKey;
+        }
+    });
 }
 
 /**
- * Pause the stopwatch (can be resumed)
- * Also pauses the current lap timer (both display and backend)
+ * Save the key bindings to local storage
  */
-function pauseStopwatch() {
-    if (!state.isRunning) return;
-
-    state.isRunning = false;
-    clearInterval(state.intervalId);
+function saveKeymapToStorage() {
+    try {
+        localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify({
+            version: KEYMAP_SCHEMA_VERSION,
+            bindings: keymap
+        }));
+    } catch (error) {
+        console.warn('Error saving keymap:', error);
+    }
+}
 
-    // Update UI
-    elements.startPauseBtn.textContent = 'Resume';
+/**
+ * Build the key combo of a keydown event
+ * @param {KeyboardEvent} e - Keydown event
+ * @returns {string} Combo such as 'Ctrl+Shift+KeyZ'
+ */
+function getKeyCombo(e) {
+    const modifiers = [];
+    if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+    return [...modifiers, e.code].join('+');
 }
 
 /**
- * Reset the stopwatch and clear all laps
+ * Find the action bound to a key combo
+ * @param {string} combo - Key combo from getKeyCombo()
+ * @returns {string|null} Action ID, or null if the combo is unbound
  */
-function resetStopwatch() {
-    state.isRunning = false;
-    state.elapsedTime = 0;
-    state.pausedTime = 0;
-    state.startTime = null;
-    state.currentLapStartTime = null;
-    state.laps = [];
+function getKeymapAction(combo) {
+    return Object.keys(keymap).find(action => keymap[action] === combo) || null;
+}
 
-    clearInterval(state.intervalId);
-    clearLapsHistory();
+/**
+ * Check whether a combo can be bound to an action
+ * @param {string} combo - Key combo
+ * @param {string} action - Action the combo would be bound to
+ * @returns {string|null} Why it can't (reserved key or the action already using it), or null if it is free
+ */
+function getKeymapConflict(combo, action) {
+    const code = combo.split('+').pop();
+    if (KEYMAP_RESERVED.includes(combo) || ['Escape', 'Tab', 'Enter'].includes(code)) {
+        return `${formatKeyCombo(combo)} is reserved`;
+    }
 
-    // Update UI
-    elements.stopwatchTime.textContent = '00:00:00';
-    elements.currentLapTime.textContent = '00:00:00';
-    elements.startPauseBtn.textContent = 'Start';
-    elements.lapBtn.disabled = true;
-    elements.resetBtn.disabled = true;
-    elements.lapsContainer.innerHTML = '<p class="empty-state">No laps yet. Press Start and then Lap to begin.</p>';
+    const boundAction = getKeymapAction(combo);
+    if (boundAction !== null && boundAction !== action) {
+        return `${formatKeyCombo(combo)} is already used by ${KEYMAP_ACTIONS[boundAction].label}`;
+    }
+    return null;
 }
 
 /**
- * Update the stopwatch display with current elapsed time
+ * Bind a key combo to an action and save the keymap
+ * @param {string} action - Action ID (key of KEYMAP_ACTIONS)
+ * @param {string} combo - Key combo
+ * @returns {string|null} Conflict message if the combo was not bound, or null on success
  */
-function updateStopwatchDisplay() {
-    if (!state.isRunning) return;
+function setKeyBinding(action, combo) {
+    const conflict = getKeymapConflict(combo, action);
+    if (conflict !== null) return conflict;
 
-    state.pausedTime = Date.now() - state.startTime;
-    state.elapsedTime = state.pausedTime;
-    elements.stopwatchTime.textContent = formatTime(state.elapsedTime);
+    keymap[action] = combo;
+    saveKeymapToStorage();
+    return null;
 }
 
 /**
- * Update the current lap display
- * Shows elapsed time of the current active lap (not yet recorded)
+ * Restore the default bindings and save them
  */
-function updateCurrentLapDisplay() {
-    if (state.currentLapStartTime === null) {
-        // No lap has started yet, show 00:00:00
-        elements.currentLapTime.textContent = '00:00:00';
-        return;
-    }
+function resetKeymap() {
+    Object.entries(KEYMAP_ACTIONS).forEach(([action, definition]) => {
+        keymap[action] = definition.defaultKey;
+    });
+    saveKeymapToStorage();
+}
 
-    // Calculate current lap elapsed time from when it started
-    let currentLapElapsedTime;
-    if (state.isRunning) {
-        currentLapElapsedTime = Date.now() - state.currentLapStartTime;
-    } else {
-        currentLapElapsedTime = state.pausedTime - (state.currentLapStartTime - state.startTime);
-    }
-    
-    elements.currentLapTime.textContent = formatTime(Math.max(0, currentLapElapsedTime));
+/**
+ * Turn a key combo into readable text, e.g. 'Ctrl+Shift+KeyZ' -> 'Ctrl+Shift+Z'
+ * @param {string} combo - Key combo
+ * @returns {string} Display text
+ */
+function formatKeyCombo(combo) {
+    const keyNames = {
+        Space: 'Space', Slash: '/', Backslash: '\\', Period: '.', Comma: ',', Semicolon: ';', Quote: "'",
+        BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`',
+        ArrowUp: '\u2191', ArrowDown: '\u2193', ArrowLeft: '\u2190', ArrowRight: '\u2192'
+    };
+
+    return combo.split('+')
+        .map(part => keyNames[part] || part.replace(/^(Key|Digit|Numpad)(?=.)/, ''))
+        .join('+');
 }
 
 // ============================================
-// Lap Management
+// Session Export & Import
 // ============================================
 
+const EXPORT_FORMAT_ID = 'newspaper-timer-session';
+const EXPORT_SCHEMA_VERSION = 1;
+
 /**
- * Create a new lap with current stopwatch time
- * Each lap stores its creation time and alarm configuration
- * 
- * When a new lap is recorded:
- * - Record the elapsed time from the current active lap
- * - Stop the currently playing alarm sound
- * - Disable the alarm for the previously recorded lap
- * - Reset its triggered state
- * - Start a new current lap timer
+ * Collect the session to export: the reviewed session if one is open,
+ * otherwise the recorded laps of the focused timer
+ * The pending lap is left out because it has no final time yet.
+ * @returns {object} { startedAt, profile, laps: [{ lapNumber, segment, startOffset, recordedTime, alarmDuration, triggered, snoozeCount, silenced, autoRecorded, note, createdAt }] }
  */
-function createLap() {
-    if (!state.isRunning && state.laps.length === 0) {
-        console.warn('Start the stopwatch before creating laps');
-        return;
-    }
-
-    // Get the elapsed time from the current lap BEFORE creating a new one
-    let recordedTime = 0;
-    if (state.currentLapStartTime !== null) {
-        if (state.isRunning) {
-            recordedTime = Date.now() - state.currentLapStartTime;
-        } else {
-            recordedTime = state.pausedTime - (state.currentLapStartTime - state.startTime);
-        }
-    }
-
-    // Stop any currently playing alarm when a new lap is recorded
-    stopAlarmSound();
-
-    if (state.laps.length > 0) {
-        const currentLapIndex = state.laps.length - 1;
-        const currentLap = state.laps[currentLapIndex];
-        
-        // If this is the first lap (pending), just record it
-        if (!currentLap.isRecorded) {
-            currentLap.recordedTime = Math.max(0, recordedTime);
-            currentLap.isRecorded = true;
-            currentLap.enabled = false;
-            currentLap.triggered = false;
-        } else {
-            // For subsequent laps, disable the current one
-            currentLap.enabled = false;
-            currentLap.triggered = false;
-        }
-        updateLapUI(currentLapIndex);
-    }
+function getExportSession() {
+    return state.reviewSession || getLiveSessionRecord(getActiveTimer());
+}
 
-    const lapIndex = state.laps.length;
-    const defaultDuration = state.defaultAlarmDurations[lapIndex] || 5 * 60 * 1000;
+/**
+ * Build a session record from the recorded laps of a timer's live session
+ * Used for exports and for the history archive
+ * @param {object} timer - Timer instance
+ * @returns {object} Session in the getExportSession() shape
+ */
+function getLiveSessionRecord(timer) {
+    const profile = getTimerProfile(timer);
+    const recordedLaps = timer.laps.filter(lap => lap.isRecorded);
+    const startOffsets = getLapStartOffsets(recordedLaps);
 
-    // Lap object structure:
-    // - createdAt: when the lap was created (timestamp)
-    // - recordedTime: the final elapsed time when this lap was recorded (frozen)
-    // - alarmDuration: configured alarm duration in milliseconds
-    // - triggered: flag to prevent alarm from retriggering
-    // - enabled: whether the alarm is active
-    // - isRecorded: whether this lap has been finalized
-    const lap = {
-        createdAt: Date.now(),
-        recordedTime: 0,
-        alarmDuration: defaultDuration,
-        triggered: false,
-        enabled: true,
-        isRecorded: false
+    return {
+        startedAt: recordedLaps.length > 0 ? recordedLaps[0].createdAt : null,
+        profile: {
+            id: profile.id,
+            name: profile.name,
+            durations: [...profile.durations],
+            segments: [...profile.segments],
+            rule: profile.rule,
+            autoAdvance: profile.autoAdvance,
+            rounds: profile.rounds
+        },
+        laps: recordedLaps.map((lap, index) => ({
+            lapNumber: index + 1,
+            segment: lap.segment,
+            startOffset: startOffsets[index],
+            recordedTime: lap.recordedTime,
+            alarmDuration: lap.alarmDuration,
+            triggered: lap.triggered,
+            snoozeCount: lap.snoozeCount || 0,
+            silenced: Boolean(lap.silenced),
+            autoRecorded: Boolean(lap.autoRecorded),
+            note: lap.note || '',
+            createdAt: lap.createdAt
+        }))
     };
-
-    state.laps.push(lap);
-    
-    // Reset current lap timer for the next lap
-    state.currentLapStartTime = state.isRunning ? Date.now() : state.startTime + state.pausedTime;
-    
-    renderLaps();
-    
-    // Save the recorded lap to local storage
-    saveLapsToStorage();
 }
 
 /**
- * Get the elapsed time for a specific lap
- * Uses the main stopwatch's pausedTime as reference to prevent jump on resume
- * Lap elapsed time = main stopwatch time - when the lap was created
- * 
- * @param {number} lapIndex - Index of the lap
- * @returns {number} Elapsed time in milliseconds
+ * Compute each lap's start as an offset from the start of the session
+ * Laps are contiguous, so each one starts where the previous one ended
+ * @param {array} laps - Recorded laps in order
+ * @returns {number[]} Start offsets in milliseconds
  */
-function getLapElapsedTime(lapIndex) {
-    if (lapIndex >= state.laps.length) return 0;
+function getLapStartOffsets(laps) {
+    let offset = 0;
+    return laps.map(lap => {
+        const start = offset;
+        offset += lap.recordedTime;
+        return start;
+    });
+}
 
-    const lap = state.laps[lapIndex];
-    
-    // Get main stopwatch's current elapsed time
-    let mainElapsedTime;
-    if (state.isRunning) {
-        mainElapsedTime = Date.now() - state.startTime;
-    } else {
-        mainElapsedTime = state.pausedTime;
-    }
-    
-    // Lap elapsed time = main elapsed time - time when this lap was created
-    return Math.max(0, mainElapsedTime - (lap.createdAt - state.startTime));
+/**
+ * Get how far a lap ran over (positive) or under (negative) its alarm target
+ * @param {object} lap - Lap record
+ * @returns {number|null} Difference in milliseconds, or null if the lap had no alarm
+ */
+function getLapVariance(lap) {
+    return lap.alarmDuration > 0 ? lap.recordedTime - lap.alarmDuration : null;
 }
 
 /**
- * Check all lap alarms and trigger if conditions are met
- * 
- * Alarm triggering logic:
- * 1. Only check the current lap (most recently created lap)
- * 2. Check if lap alarm is enabled
- * 3. Check if lap elapsed time >= configured alarm duration
- * 4. Check if alarm hasn't been triggered yet (prevent retriggering)
- * 5. Mark alarm as triggered and play sound
- * 
- * Alarms only trigger once per lap and reset when:
- * - The stopwatch is reset
- * - A new lap is created
+ * Export a session as lossless JSON (raw milliseconds, with a schema version)
+ * @param {object} [session] - Session from getExportSession()
+ * @returns {string} JSON string
  */
-function checkLapAlarms() {
-    // Only check the current lap (the most recently created one)
-    if (state.laps.length === 0) return;
+function exportLapsAsJSON(session = getExportSession()) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT_ID,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        startedAt: session.startedAt,
+        profile: session.profile,
+        totalTime: session.laps.reduce((total, lap) => total + lap.recordedTime, 0),
+        laps: session.laps
+    }, null, 2);
+}
 
-    const currentLapIndex = state.laps.length - 1;
-    const currentLap = state.laps[currentLapIndex];
+/**
+ * Export a session as CSV, one row per lap
+ * @param {object} [session] - Session from getExportSession()
+ * @returns {string} CSV text
+ */
+function exportLapsAsCSV(session = getExportSession()) {
+    const header = ['Lap', 'Segment', 'Start Offset', 'Lap Time', 'Alarm Target', 'Over/Under', 'Triggered', 'Recorded', 'Note'];
+    const rows = session.laps.map(lap => {
+        const variance = getLapVariance(lap);
+        return [
+            lap.lapNumber,
+            lap.segment || '',
+            formatPreciseTime(lap.startOffset),
+            formatPreciseTime(lap.recordedTime),
+            lap.alarmDuration > 0 ? formatPreciseTime(lap.alarmDuration) : '',
+            variance === null ? '' : formatPreciseSignedTime(variance),
+            lap.triggered ? 'yes' : 'no',
+            lap.autoRecorded ? 'auto' : 'manual',
+            lap.note || ''
+        ];
+    });
 
-    // Skip if alarm is disabled or already triggered
-    if (!currentLap.enabled || currentLap.triggered) return;
+    return [header, ...rows]
+        .map(row => row.map(escapeCSVField).join(','))
+        .join('\r\n') + '\r\n';
+}
 
-    const lapElapsedTime = getLapElapsedTime(currentLapIndex);
+/**
+ * Export a session as a Markdown table for pasting into reports
+ * @param {object} [session] - Session from getExportSession()
+ * @returns {string} Markdown text
+ */
+function exportLapsAsMarkdown(session = getExportSession()) {
+    const profileName = session.profile.name.replace(/\|/g, '\\|');
+    const title = session.startedAt
+        ? `## ${profileName} - ${new Date(session.startedAt).toLocaleString()}`
+        : `## ${profileName}`;
+    const header = [
+        '| Lap | Segment | Start Offset | Lap Time | Alarm Target | Over/Under | Triggered | Recorded | Note |',
+        '|---:|:---|---:|---:|---:|---:|:---:|:---:|:---|'
+    ];
+    const rows = session.laps.map(lap => {
+        const variance = getLapVariance(lap);
+        const segment = lap.segment ? escapeMarkdownCell(lap.segment) : '-';
+        const note = lap.note ? escapeMarkdownCell(lap.note) : '';
+        return `| ${lap.lapNumber} | ${segment} | ${formatPreciseTime(lap.startOffset)} | ${formatPreciseTime(lap.recordedTime)} | `
+            + `${lap.alarmDuration > 0 ? formatPreciseTime(lap.alarmDuration) : '-'} | `
+            + `${variance === null ? '-' : formatPreciseSignedTime(variance)} | ${lap.triggered ? 'yes' : 'no'} | `
+            + `${lap.autoRecorded ? 'auto' : 'manual'} | ${note} |`;
+    });
+    const totalTime = session.laps.reduce((total, lap) => total + lap.recordedTime, 0);
 
-    // Trigger alarm if elapsed time reaches or exceeds alarm duration
-    if (lapElapsedTime >= currentLap.alarmDuration) {
-        currentLap.triggered = true;
-        playAlarmSound();
-        updateLapUI(currentLapIndex);
-    }
+    return [title, '', ...header, ...rows, '', `**Total:** ${formatPreciseTime(totalTime)}`, ''].join('\n');
 }
 
-// ============================================
-// Lap Alarm Management
-// ============================================
+/**
+ * Make text safe for a Markdown table cell (pipes escaped, line breaks flattened)
+ * @param {string} text - Cell text
+ * @returns {string} Markdown-safe cell text
+ */
+function escapeMarkdownCell(text) {
+    return text.replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
 
 /**
- * Update alarm duration for a lap
- * @param {number} lapIndex - Index of the lap
- * @param {number} durationMs - New duration in milliseconds
+ * Quote a CSV field if it contains a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
  */
-function updateLapAlarmDuration(lapIndex, durationMs) {
-    if (lapIndex < state.laps.length) {
-        state.laps[lapIndex].alarmDuration = durationMs;
-        // Reset triggered flag when duration is changed (allows re-triggering at new time)
-        state.laps[lapIndex].triggered = false;
-        updateLapUI(lapIndex);
-    }
+function escapeCSVField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
 /**
- * Toggle alarm enabled/disabled for a lap
- * @param {number} lapIndex - Index of the lap
+ * Parse and validate a JSON export created by exportLapsAsJSON()
+ * @param {string} text - File contents
+ * @returns {object} Session in the getExportSession() shape
+ * @throws {Error} If the file is not a valid export
  */
-function toggleLapAlarm(lapIndex) {
-    if (lapIndex < state.laps.length) {
-        state.laps[lapIndex].enabled = !state.laps[lapIndex].enabled;
-        // Reset triggered flag when toggling (allows fresh alarm state)
-        state.laps[lapIndex].triggered = false;
-        updateLapUI(lapIndex);
+function parseSessionImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT_ID) {
+        throw new Error('The file is not a lap session export');
+    }
+    if (data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+        throw new Error('The file was exported by a newer version of the app');
     }
+    if (!Array.isArray(data.laps) || data.laps.length === 0) {
+        throw new Error('The export contains no laps');
+    }
+
+    const isTime = value => Number.isFinite(value) && value >= 0;
+    const laps = data.laps.map((lap, index) => {
+        if (!lap || !isTime(lap.recordedTime) || !isTime(lap.alarmDuration)) {
+            throw new Error(`Lap ${index + 1} is missing its times`);
+        }
+        return {
+            lapNumber: index + 1,
+            segment: typeof lap.segment === 'string' ? lap.segment : null,
+            startOffset: 0,
+            recordedTime: lap.recordedTime,
+            alarmDuration: lap.alarmDuration,
+            triggered: Boolean(lap.triggered),
+            snoozeCount: Number.isFinite(lap.snoozeCount) ? lap.snoozeCount : 0,
+            silenced: Boolean(lap.silenced),
+            autoRecorded: Boolean(lap.autoRecorded),
+            note: typeof lap.note === 'string' ? lap.note : '',
+            createdAt: Number.isFinite(lap.createdAt) ? lap.createdAt : null
+        };
+    });
+
+    // Recompute offsets rather than trusting the file
+    getLapStartOffsets(laps).forEach((offset, index) => {
+        laps[index].startOffset = offset;
+    });
+
+    const profile = data.profile && typeof data.profile.name === 'string'
+        ? data.profile
+        : { id: null, name: 'Imported session', durations: [], segments: [], rule: 'none' };
+
+    return {
+        startedAt: Number.isFinite(data.startedAt) ? data.startedAt : null,
+        profile,
+        laps
+    };
 }
 
 // ============================================
-// UI Rendering
+// Session History Archive
 // ============================================
 
+const HISTORY_STORAGE_KEY = 'sessionHistory';
+const HISTORY_SCHEMA_VERSION = 1;
+const HISTORY_MAX_SESSIONS = 50;                        // Oldest sessions are dropped beyond this
+const HISTORY_MAX_AGE = 180 * 24 * 60 * 60 * 1000;      // ...or once they are 180 days old
+
 /**
- * Render all laps with their times, alarms, and edit controls
+ * Load archived sessions from local storage, newest first
+ * @returns {array} Archived session records
  */
-function renderLaps() {
-    if (state.laps.length === 0) {
-        elements.lapsContainer.innerHTML = '<p class="empty-state">No laps yet. Press Start and then Lap to begin.</p>';
-        return;
+function loadHistoryFromStorage() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        if (stored && stored.version === HISTORY_SCHEMA_VERSION && Array.isArray(stored.sessions)) {
+            return stored.sessions;
+        }
+    } catch (error) {
+        console.warn('Error loading session history:', error);
+    }
+    return [];
+}
+
+/**
+ * Save archived sessions to local storage, applying the retention limits
+ * If storage is full, the oldest sessions are dropped until the write fits.
+ * @param {array} sessions - Archived session records, newest first
+ */
+function saveHistoryToStorage(sessions) {
+    const cutoff = getNow() - HISTORY_MAX_AGE;
+    let retained = sessions
+        .filter(session => session.archivedAt >= cutoff)
+        .slice(0, HISTORY_MAX_SESSIONS);
+
+    while (true) {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({
+                version: HISTORY_SCHEMA_VERSION,
+                sessions: retained
+            }));
+            return;
+        } catch (error) {
+            if (retained.length === 0) {
+                console.warn('Error saving session history:', error);
+                return;
+            }
+            retained = retained.slice(0, -1);
+        }
+    }
+}
+
+/**
+ * Add a finished session to the history archive
+ * Sessions without any recorded laps are not archived.
+ * @param {object} session - Session in the getExportSession() shape
+ * @returns {object|null} Archived record, or null if nothing was archived
+ */
+function archiveSession(session) {
+    if (session.laps.length === 0) return null;
+
+    const record = {
+        id: generateId('session'),
+        archivedAt: getNow(),
+        startedAt: session.startedAt,
+        profile: session.profile,
+        totalTime: session.laps.reduce((total, lap) => total + lap.recordedTime, 0),
+        laps: session.laps
+    };
+
+    saveHistoryToStorage([record, ...loadHistoryFromStorage()]);
+    console.log('Session archived to history');
+    return record;
+}
+
+/**
+ * Delete an archived session
+ * @param {string} sessionId - Archived session ID
+ */
+function deleteHistorySession(sessionId) {
+    saveHistoryToStorage(loadHistoryFromStorage().filter(session => session.id !== sessionId));
+}
+
+// ============================================
+// Statistics
+// ============================================
+
+/**
+ * Collect the sessions the statistics view covers
+ * The focused timer's live session (recorded laps only) comes first, then the archive.
+ * @param {string} scope - 'all' (current + archived), 'current' or 'archived'
+ * @param {string} profileName - Only include sessions of this profile ('' for all)
+ * @returns {array} Sessions, oldest first, each with a `label`
+ */
+function getStatsSessions(scope, profileName) {
+    const sessions = [];
+
+    if (scope !== 'archived') {
+        const live = getLiveSessionRecord(getActiveTimer());
+        if (live.laps.length > 0) {
+            sessions.push({ ...live, label: 'Current', sortTime: getNow() });
+        }
+    }
+
+    if (scope !== 'current') {
+        loadHistoryFromStorage().forEach(session => {
+            sessions.push({
+                ...session,
+                label: new Date(session.startedAt || session.archivedAt).toLocaleDateString(),
+                sortTime: session.startedAt || session.archivedAt
+            });
+        });
+    }
+
+    return sessions
+        .filter(session => !profileName || session.profile.name === profileName)
+        .sort((a, b) => a.sortTime - b.sortTime);
+}
+
+/**
+ * Compute per-lap-position statistics across sessions
+ * @param {array} sessions - Sessions from getStatsSessions()
+ * @returns {array} One entry per lap position:
+ *   { lapNumber, count, average, best, worst, median, firedCount, alarmCount, meanVariance }
+ */
+function computeLapPositionStats(sessions) {
+    const positions = [];
+
+    sessions.forEach(session => {
+        session.laps.forEach((lap, index) => {
+            if (!positions[index]) {
+                positions[index] = { times: [], variances: [], firedCount: 0, alarmCount: 0 };
+            }
+            const position = positions[index];
+            position.times.push(lap.recordedTime);
+
+            const variance = getLapVariance(lap);
+            if (variance !== null) {
+                position.variances.push(variance);
+                position.alarmCount++;
+                if (lap.triggered) {
+                    position.firedCount++;
+                }
+            }
+        });
+    });
+
+    return positions.map((position, index) => ({
+        lapNumber: index + 1,
+        count: position.times.length,
+        average: mean(position.times),
+        best: Math.min(...position.times),
+        worst: Math.max(...position.times),
+        median: median(position.times),
+        firedCount: position.firedCount,
+        alarmCount: position.alarmCount,
+        meanVariance: position.variances.length > 0 ? mean(position.variances) : null
+    }));
+}
+
+/**
+ * Compute one trend point per session: the mean over/under of its laps
+ * @param {array} sessions - Sessions from getStatsSessions()
+ * @param {number|null} lapIndex - Only use this lap position, or null for all laps
+ * @returns {array} { label, value } points (value in milliseconds), oldest first
+ */
+function computeVarianceTrend(sessions, lapIndex) {
+    return sessions
+        .map(session => {
+            const laps = lapIndex === null ? session.laps : session.laps.slice(lapIndex, lapIndex + 1);
+            const variances = laps.map(getLapVariance).filter(variance => variance !== null);
+            return variances.length > 0 ? { label: session.label, value: mean(variances) } : null;
+        })
+        .filter(point => point !== null);
+}
+
+/**
+ * Arithmetic mean of a list of numbers
+ * @param {number[]} values - Non-empty list
+ * @returns {number}
+ */
+function mean(values) {
+    return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Non-empty list
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// ============================================
+// Utility: Monotonic Clock
+// ============================================
+
+/**
+ * The engine reads time from getNow() rather than Date.now().
+ * performance.now() only ever moves forward at a steady rate, so changing
+ * the system clock mid-session (by hand, an NTP correction or a DST glitch)
+ * no longer shifts startTime or the lap math. It is anchored to the wall
+ * clock when the page loads, so its readings are still epoch milliseconds:
+ * timestamps that can be saved, shown as dates and picked up again after a
+ * reload.
+ * Some platforms stop performance.now() while the computer sleeps. When the
+ * page comes back (see resyncClock) and the wall clock has run ahead, the
+ * anchor moves forward so the time asleep is counted, as it is when a
+ * closed page is reopened.
+ */
+const clock = {
+    wallAnchor: Date.now(),                 // Wall-clock time at load (ms since the epoch)
+    monotonicAnchor: performance.now()      // performance.now() at the same moment
+};
+
+// The wall clock must run this far ahead before the clock is re-anchored
+const CLOCK_RESYNC_THRESHOLD = 1000;
+
+/**
+ * Get the current time from the monotonic clock
+ * @returns {number} Milliseconds since the epoch (whole milliseconds)
+ */
+function getNow() {
+    return Math.round(clock.wallAnchor + (performance.now() - clock.monotonicAnchor));
+}
+
+/**
+ * Catch the clock up with time the monotonic clock missed while asleep
+ * Only a wall clock that ran ahead counts: setting the system clock back
+ * can't be told from a correction, so it is still ignored.
+ * @returns {boolean} Whether the clock moved forward
+ */
+function resyncClock() {
+    const drift = Date.now() - getNow();
+    if (drift <= CLOCK_RESYNC_THRESHOLD) return false;
+
+    clock.wallAnchor += drift;
+    console.log(`Clock resynced: ${drift} ms passed while the page was asleep`);
+    return true;
+}
+
+// ============================================
+// Utility: Time Formatting
+// ============================================
+
+// Digits shown after the seconds for each precision setting
+const TIME_PRECISION_DIGITS = {
+    seconds: 0,
+    tenths: 1,
+    hundredths: 2
+};
+
+/**
+ * Convert milliseconds to HH:MM:SS format, optionally with tenths
+ * (HH:MM:SS.s) or hundredths (HH:MM:SS.ss)
+ * Every unit is truncated, like a stopwatch, never rounded up.
+ * @param {number} milliseconds - Time in milliseconds
+ * @param {string} [precision] - Key of TIME_PRECISION_DIGITS (default 'seconds')
+ * @returns {string} Formatted time string
+ */
+function formatTime(milliseconds, precision = 'seconds') {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    const text = [hours, minutes, seconds]
+        .map(unit => String(unit).padStart(2, '0'))
+        .join(':');
+
+    const digits = TIME_PRECISION_DIGITS[precision] || 0;
+    if (digits === 0) return text;
+
+    const fraction = Math.floor((milliseconds - totalSeconds * 1000) / 10 ** (3 - digits));
+    return `${text}.${String(fraction).padStart(digits, '0')}`;
+}
+
+/**
+ * Format a signed difference as +HH:MM:SS or -HH:MM:SS
+ * @param {number} milliseconds - Difference in milliseconds
+ * @param {string} [precision] - Key of TIME_PRECISION_DIGITS (default 'seconds')
+ * @returns {string} Formatted time string with sign
+ */
+function formatSignedTime(milliseconds, precision = 'seconds') {
+    return (milliseconds < 0 ? '-' : '+') + formatTime(Math.abs(milliseconds), precision);
+}
+
+/**
+ * Format a measured time at the precision chosen in the settings
+ * Used for the main display, lap times and exports.
+ * @param {number} milliseconds - Time in milliseconds
+ * @returns {string} Formatted time string
+ */
+function formatPreciseTime(milliseconds) {
+    return formatTime(milliseconds, settings.timePrecision);
+}
+
+/**
+ * Format a signed difference at the precision chosen in the settings
+ * @param {number} milliseconds - Difference in milliseconds
+ * @returns {string} Formatted time string with sign
+ */
+function formatPreciseSignedTime(milliseconds) {
+    return formatSignedTime(milliseconds, settings.timePrecision);
+}
+
+/**
+ * Convert milliseconds to a readable duration such as "4 minutes 30 seconds"
+ * @param {number} milliseconds - Duration in milliseconds
+ * @returns {string} Human-readable duration
+ */
+function formatDurationLabel(milliseconds) {
+    const totalSeconds = Math.round(milliseconds / 1000);
+    const units = [
+        [Math.floor(totalSeconds / 3600), 'hour'],
+        [Math.floor((totalSeconds % 3600) / 60), 'minute'],
+        [totalSeconds % 60, 'second']
+    ];
+
+    const parts = units
+        .filter(([value]) => value > 0)
+        .map(([value, unit]) => `${value} ${unit}${value === 1 ? '' : 's'}`);
+
+    return parts.length > 0 ? parts.join(' ') : '0 seconds';
+}
+
+/**
+ * Convert milliseconds to unit shorthand such as "4m30s" (accepted by parseTimeString)
+ * @param {number} milliseconds - Duration in milliseconds
+ * @returns {string} Shorthand, or "0" for zero
+ */
+function formatShorthand(milliseconds) {
+    const totalSeconds = Math.round(milliseconds / 1000);
+    if (totalSeconds === 0) return '0';
+
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    return (hours ? `${hours}h` : '') + (minutes ? `${minutes}m` : '') + (seconds ? `${seconds}s` : '');
+}
+
+// ============================================
+// Utility: HTML & IDs
+// ============================================
+
+/**
+ * Escape text for safe insertion into HTML strings
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate a reasonably unique ID for stored records
+ * @param {string} prefix - ID prefix, e.g. "profile"
+ * @returns {string} ID string
+ */
+function generateId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// ============================================
+// Audio Engine
+// ============================================
+
+/**
+ * Built-in alarm sounds
+ * - tone: synthesized with Web Audio from a list of notes
+ *   ({ wave, freq, freqEnd?, start, duration } with times in seconds)
+ * - file: the bundled alarm_sound.mp3
+ * - custom: a file uploaded by the user and kept in local storage
+ */
+const SOUND_LIBRARY = {
+    bundled: { label: 'Classic alarm (mp3)', type: 'file', src: 'alarm_sound.mp3' },
+    beep: {
+        label: 'Triple beep',
+        type: 'tone',
+        notes: repeatNotes([0, 0.22, 0.44].map(start => ({ wave: 'square', freq: 880, start, duration: 0.14 })), 2, 0.9)
+    },
+    chime: {
+        label: 'Chime',
+        type: 'tone',
+        notes: [
+            { wave: 'sine', freq: 1046.5, start: 0, duration: 0.6 },
+            { wave: 'sine', freq: 784, start: 0.35, duration: 0.6 },
+            { wave: 'sine', freq: 659.3, start: 0.7, duration: 1.0 }
+        ]
+    },
+    siren: {
+        label: 'Siren',
+        type: 'tone',
+        notes: repeatNotes([
+            { wave: 'sawtooth', freq: 600, freqEnd: 1200, start: 0, duration: 0.45 },
+            { wave: 'sawtooth', freq: 1200, freqEnd: 600, start: 0.45, duration: 0.45 }
+        ], 2, 0.9)
+    },
+    digital: {
+        label: 'Digital watch',
+        type: 'tone',
+        notes: repeatNotes([0, 0.1, 0.2, 0.3].map(start => ({ wave: 'square', freq: 2000, start, duration: 0.05 })), 3, 0.6)
+    },
+    bell: {
+        label: 'Bell',
+        type: 'tone',
+        notes: [
+            { wave: 'sine', freq: 880, start: 0, duration: 1.6 },
+            { wave: 'sine', freq: 1760, start: 0, duration: 0.8 },
+            { wave: 'sine', freq: 880, start: 1.0, duration: 1.6 },
+            { wave: 'sine', freq: 1760, start: 1.0, duration: 0.8 }
+        ]
+    },
+    custom: { label: 'Custom upload', type: 'custom' }
+};
+
+const CUSTOM_SOUND_STORAGE_KEY = 'customAlarmSound';
+const CUSTOM_SOUND_MAX_BYTES = 1.5 * 1024 * 1024;  // Keeps the data URL well inside localStorage limits
+
+const audioEngine = {
+    context: null,       // AudioContext, created lazily
+    masterGain: null,    // Gain node every sound is routed through
+    bufferCache: {},     // Decoded AudioBuffers by sound ID
+    activeNodes: [],     // { node, owner } for every source playing (for stopAlarmSound)
+    playbackIds: {},     // Per owner; incremented on stop so pending async playback is cancelled
+    elementOwner: null   // Owner of the sound playing through the <audio> element
+};
+
+/**
+ * Repeat a note pattern several times
+ * @param {array} notes - Notes with start times relative to the pattern
+ * @param {number} times - Number of repetitions
+ * @param {number} spacing - Seconds between repetitions
+ * @returns {array} Notes
+ */
+function repeatNotes(notes, times, spacing) {
+    const repeated = [];
+    for (let i = 0; i < times; i++) {
+        notes.forEach(note => repeated.push({ ...note, start: note.start + i * spacing }));
+    }
+    return repeated;
+}
+
+/**
+ * Get (creating on first use) the shared AudioContext
+ * @returns {AudioContext|null} The context, or null if Web Audio is unavailable
+ */
+function getAudioContext() {
+    if (audioEngine.context) return audioEngine.context;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    audioEngine.context = new AudioContextClass();
+    audioEngine.masterGain = audioEngine.context.createGain();
+    audioEngine.masterGain.connect(audioEngine.context.destination);
+    return audioEngine.context;
+}
+
+/**
+ * Make sure the AudioContext is running
+ * Browsers keep it suspended until a user gesture; resume() then never
+ * settles, so give up after a short wait.
+ * @param {AudioContext} context - Audio context
+ * @returns {Promise} Resolves once running, rejects if audio is blocked
+ */
+function ensureAudioRunning(context) {
+    if (context.state === 'running') return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => reject(new Error('Audio playback is blocked until the page is clicked')), 300);
+        context.resume().then(() => {
+            clearTimeout(timeoutId);
+            resolve();
+        }, error => {
+            clearTimeout(timeoutId);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Unlock audio playback; must be called from a user gesture
+ * Resumes the AudioContext and primes the <audio> element so later
+ * alarms can play without a gesture.
+ * @returns {Promise} Resolves once audio is usable
+ */
+function unlockAudio() {
+    const unlocks = [];
+
+    const context = getAudioContext();
+    if (context) {
+        unlocks.push(context.resume().then(() => {
+            // Play one silent sample; some browsers only unlock on actual output
+            const source = context.createBufferSource();
+            source.buffer = context.createBuffer(1, 1, context.sampleRate);
+            source.connect(context.destination);
+            source.start();
+        }));
+    }
+
+    const audio = elements.alarmSound;
+    audio.muted = true;
+    unlocks.push(Promise.resolve(audio.play()).then(() => {
+        audio.pause();
+        audio.currentTime = 0;
+    }).finally(() => {
+        audio.muted = false;
+    }));
+
+    return Promise.all(unlocks);
+}
+
+/**
+ * Work out which sound to play, falling back to the default setting
+ * and then to the bundled mp3
+ * @param {string|null} [soundId] - Requested sound
+ * @returns {string} A usable key of SOUND_LIBRARY
+ */
+function resolveSoundId(soundId) {
+    const candidates = [soundId, settings.alarmSound, 'bundled'];
+    return candidates.find(candidate => SOUND_LIBRARY[candidate]
+        && (candidate !== 'custom' || loadCustomSound() !== null));
+}
+
+/**
+ * Play an alarm sound
+ * Any sound already playing for the same owner is stopped first, so each
+ * timer's alarm can ring independently.
+ * @param {object} [options] - { volume: 0-1 stage volume (default 1), sound: SOUND_LIBRARY key (default from settings), owner: timer ID or other tag (default 'app') }
+ */
+function playAlarmSound(options = {}) {
+    const owner = options.owner || 'app';
+    stopAlarmSound(owner);
+
+    const volume = (options.volume === undefined ? 1 : options.volume) * settings.masterVolume;
+    const soundId = resolveSoundId(options.sound);
+    const sound = SOUND_LIBRARY[soundId];
+    const playbackId = audioEngine.playbackIds[owner];
+    const context = getAudioContext();
+
+    // Without Web Audio, files still play through the <audio> element; tones fall back to the mp3
+    if (!context) {
+        playWithAudioElement(sound.type === 'tone' ? 'bundled' : soundId, volume, owner);
+        return;
+    }
+
+    ensureAudioRunning(context)
+        .then(() => sound.type === 'tone' ? null : getSoundBuffer(soundId))
+        .then(buffer => {
+            if (playbackId !== audioEngine.playbackIds[owner]) return;  // Stopped while loading
+
+            if (buffer) {
+                playBuffer(buffer, volume, owner);
+            } else {
+                playTone(sound, volume, owner);
+            }
+            hideAudioBanner();
+        })
+        .catch(error => {
+            if (playbackId !== audioEngine.playbackIds[owner]) return;
+
+            if (error.name === 'SoundLoadError') {
+                // e.g. fetch() of the mp3 is not allowed when opened from file://
+                playWithAudioElement(soundId, volume, owner);
+            } else {
+                reportAudioBlocked(error);
+            }
+        });
+}
+
+// Sounds a timer plays besides its lap alarm are owned by `<tag>:<timer ID>`
+const TIMER_SOUND_TAGS = ['budget', 'schedule'];
+
+/**
+ * Stop alarm sounds that are currently playing
+ * Stopping a timer's sounds (owner = timer ID) also stops the ones tagged
+ * with TIMER_SOUND_TAGS, e.g. a budget warning still ringing on reset.
+ * @param {string} [owner] - Only stop this owner's sounds (default: stop everything)
+ */
+function stopAlarmSound(owner) {
+    let owners = Object.keys(audioEngine.playbackIds);
+    if (owner !== undefined) {
+        owners = owner.includes(':') ? [owner] : [owner, ...TIMER_SOUND_TAGS.map(tag => `${tag}:${owner}`)];
+    }
+    owners.forEach(key => {
+        audioEngine.playbackIds[key] = (audioEngine.playbackIds[key] || 0) + 1;
+    });
+
+    audioEngine.activeNodes = audioEngine.activeNodes.filter(entry => {
+        if (owner !== undefined && !owners.includes(entry.owner)) return true;
+        try {
+            entry.node.stop();
+        } catch (error) {
+            // Already stopped
+        }
+        return false;
+    });
+
+    if (owner !== undefined && !owners.includes(audioEngine.elementOwner)) return;
+    try {
+        const audio = elements.alarmSound;
+        audio.pause();
+        audio.currentTime = 0;
+        audioEngine.elementOwner = null;
+    } catch (error) {
+        console.warn('Error stopping alarm sound:', error);
+    }
+}
+
+/**
+ * Synthesize a tone sound through Web Audio
+ * @param {object} sound - Tone entry of SOUND_LIBRARY
+ * @param {number} volume - Output volume 0-1
+ * @param {string} owner - Owner tag for stopAlarmSound()
+ */
+function playTone(sound, volume, owner) {
+    const context = audioEngine.context;
+    const now = context.currentTime + 0.02;
+
+    sound.notes.forEach(note => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const start = now + note.start;
+        const end = start + note.duration;
+
+        oscillator.type = note.wave;
+        oscillator.frequency.setValueAtTime(note.freq, start);
+        if (note.freqEnd) {
+            oscillator.frequency.linearRampToValueAtTime(note.freqEnd, end);
+        }
+
+        // Short attack and exponential release to avoid clicks
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, volume * 0.5), start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+        oscillator.connect(gain);
+        gain.connect(audioEngine.masterGain);
+        oscillator.start(start);
+        oscillator.stop(end + 0.05);
+        audioEngine.activeNodes.push({ node: oscillator, owner });
+    });
+}
+
+/**
+ * Play a decoded audio file through Web Audio
+ * @param {AudioBuffer} buffer - Decoded sound
+ * @param {number} volume - Output volume 0-1
+ * @param {string} owner - Owner tag for stopAlarmSound()
+ */
+function playBuffer(buffer, volume, owner) {
+    const context = audioEngine.context;
+    const source = context.createBufferSource();
+    const gain = context.createGain();
+
+    source.buffer = buffer;
+    gain.gain.value = volume;
+    source.connect(gain);
+    gain.connect(audioEngine.masterGain);
+    source.start();
+    audioEngine.activeNodes.push({ node: source, owner });
+}
+
+/**
+ * Play a file sound through the hidden <audio> element (no Web Audio)
+ * There is only one element, so this takes over from any other owner.
+ * @param {string} soundId - 'bundled' or 'custom'
+ * @param {number} volume - Output volume 0-1
+ * @param {string} owner - Owner tag for stopAlarmSound()
+ */
+function playWithAudioElement(soundId, volume, owner) {
+    try {
+        audioEngine.elementOwner = owner;
+        const audio = elements.alarmSound;
+        const custom = soundId === 'custom' ? loadCustomSound() : null;
+        const src = custom ? custom.dataUrl : SOUND_LIBRARY.bundled.src;
+        if (audio.getAttribute('src') !== src) {
+            audio.src = src;
+        }
+
+        audio.volume = Math.min(1, Math.max(0, volume));
+        // Reset to beginning and play
+        audio.currentTime = 0;
+        Promise.resolve(audio.play())
+            .then(hideAudioBanner)
+            .catch(reportAudioBlocked);
+    } catch (error) {
+        reportAudioBlocked(error);
+    }
+}
+
+/**
+ * Load and decode a file sound, caching the result
+ * @param {string} soundId - 'bundled' or 'custom'
+ * @returns {Promise<AudioBuffer>} Rejects with a SoundLoadError if the file can't be loaded
+ */
+function getSoundBuffer(soundId) {
+    if (audioEngine.bufferCache[soundId]) {
+        return Promise.resolve(audioEngine.bufferCache[soundId]);
+    }
+
+    let loading;
+    if (soundId === 'custom') {
+        const custom = loadCustomSound();
+        loading = custom
+            ? Promise.resolve(dataUrlToArrayBuffer(custom.dataUrl))
+            : Promise.reject(new Error('No custom sound uploaded'));
+    } else {
+        loading = fetch(SOUND_LIBRARY[soundId].src).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.arrayBuffer();
+        });
+    }
+
+    return loading
+        .then(data => new Promise((resolve, reject) => {
+            // Callback form for older Safari, which has no promise-based decodeAudioData
+            audioEngine.context.decodeAudioData(data, resolve, reject);
+        }))
+        .then(buffer => {
+            audioEngine.bufferCache[soundId] = buffer;
+            return buffer;
+        })
+        .catch(error => {
+            const loadError = new Error(`Could not load sound "${soundId}": ${error && error.message}`);
+            loadError.name = 'SoundLoadError';
+            throw loadError;
+        });
+}
+
+/**
+ * Decode a base64 data URL into an ArrayBuffer
+ * @param {string} dataUrl - data:...;base64,... URL
+ * @returns {ArrayBuffer}
+ */
+function dataUrlToArrayBuffer(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * Load the user-uploaded alarm sound
+ * @returns {object|null} { name, dataUrl }, or null if none is stored
+ */
+function loadCustomSound() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CUSTOM_SOUND_STORAGE_KEY));
+        if (stored && typeof stored.dataUrl === 'string' && typeof stored.name === 'string') {
+            return stored;
+        }
+    } catch (error) {
+        console.warn('Error loading custom sound:', error);
+    }
+    return null;
+}
+
+/**
+ * Store an uploaded audio file as the custom alarm sound
+ * @param {File} file - Audio file chosen by the user
+ * @returns {Promise} Rejects with an Error describing why the file was refused
+ */
+function saveCustomSound(file) {
+    if (!file.type.startsWith('audio/')) {
+        return Promise.reject(new Error('Choose an audio file (mp3, wav, ogg...)'));
+    }
+    if (file.size > CUSTOM_SOUND_MAX_BYTES) {
+        return Promise.reject(new Error(`The file is too large (maximum ${Math.round(CUSTOM_SOUND_MAX_BYTES / 1024)} KB)`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                localStorage.setItem(CUSTOM_SOUND_STORAGE_KEY, JSON.stringify({ name: file.name, dataUrl: reader.result }));
+                delete audioEngine.bufferCache.custom;
+                resolve();
+            } catch (error) {
+                reject(new Error('Not enough browser storage for this file'));
+            }
+        };
+        reader.onerror = () => reject(new Error('The file could not be read'));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Remove the custom alarm sound
+ */
+function removeCustomSound() {
+    try {
+        localStorage.removeItem(CUSTOM_SOUND_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Error removing custom sound:', error);
+    }
+    delete audioEngine.bufferCache.custom;
+}
+
+/**
+ * Tell the user that an alarm could not be heard
+ * @param {Error} error - Playback error
+ */
+function reportAudioBlocked(error) {
+    console.warn('Failed to play alarm sound:', error);
+    elements.audioBanner.hidden = false;
+}
+
+/**
+ * Hide the "sound blocked" banner after audio played successfully
+ */
+function hideAudioBanner() {
+    elements.audioBanner.hidden = true;
+}
+
+// ============================================
+// Alert Channels: Notifications, Title Flash & Vibration
+// ============================================
+
+/**
+ * Alerts that still work when the sound is muted or the window is hidden.
+ * Each channel is opt-in (see the alert* settings).
+ */
+const alerts = {
+    notifications: {},          // Notification currently shown, by timer ID
+    flashTimerId: null,         // setInterval handle of the title/favicon flash
+    flashOn: false,             // Which half of the flash is showing
+    originalTitle: document.title,
+    originalFavicon: null       // href of the page favicon, captured when flashing starts
+};
+
+const ALERT_FAVICON = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">' +
+    '<circle cx="16" cy="16" r="15" fill="#e74c3c"/>' +
+    '<rect x="14" y="6" width="4" height="13" rx="2" fill="#fff"/>' +
+    '<circle cx="16" cy="24" r="2.5" fill="#fff"/></svg>'
+);
+
+const VIBRATION_PATTERNS = {
+    warning: [200],
+    due: [400, 200, 400],
+    overrun: [400, 200, 400, 200, 400]
+};
+
+/**
+ * Check whether the browser supports system notifications
+ * @returns {boolean}
+ */
+function isNotificationSupported() {
+    return typeof window.Notification === 'function';
+}
+
+/**
+ * Check whether the device can vibrate
+ * @returns {boolean}
+ */
+function isVibrationSupported() {
+    return typeof navigator.vibrate === 'function';
+}
+
+/**
+ * Ask for permission to show notifications; must be called from a user gesture
+ * @returns {Promise<string>} 'granted', 'denied' or 'default'
+ */
+function requestNotificationPermission() {
+    if (!isNotificationSupported()) return Promise.resolve('denied');
+    if (Notification.permission !== 'default') return Promise.resolve(Notification.permission);
+
+    // Older Safari only supports the callback form
+    return new Promise(resolve => {
+        const result = Notification.requestPermission(resolve);
+        if (result && typeof result.then === 'function') {
+            result.then(resolve);
+        }
+    });
+}
+
+/**
+ * Describe the alarm stage a lap has just reached, e.g. "Lap 3 reached 00:03:00"
+ * With several timers the timer's name is put in front.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @returns {string} Alert text
+ */
+function getAlarmAlertText(timer, lapIndex) {
+    const lap = timer.laps[lapIndex];
+    const lapNumber = lapIndex + 1;
+    let text;
+    switch (lap.alarmStage) {
+        case 'warning':
+            text = `Lap ${lapNumber}: ${formatDurationLabel(lap.alarmDuration - getLapElapsedTime(timer, lapIndex))} left`;
+            break;
+        case 'overrun':
+            text = `Lap ${lapNumber} is ${formatTime(getLapElapsedTime(timer, lapIndex) - lap.alarmDuration)} over ${formatTime(lap.alarmDuration)}`;
+            break;
+        default:
+            text = `Lap ${lapNumber} reached ${formatTime(lap.alarmDuration)}`;
+    }
+    return withTimerName(timer.name, text);
+}
+
+/**
+ * Put a timer's name in front of a message when there are several timers
+ * @param {string} name - Timer name
+ * @param {string} text - Message
+ * @returns {string} e.g. "Timer 2: All 5 rounds done"
+ */
+function withTimerName(name, text) {
+    return state.timers.length > 1 ? `${name}: ${text}` : text;
+}
+
+/**
+ * Send the enabled alerts for an alarm stage that just fired
+ * Called by checkLapAlarms() next to the alarm sound.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap whose alarm fired
+ */
+function fireAlarmAlerts(timer, lapIndex) {
+    const lap = timer.laps[lapIndex];
+
+    if (settings.alertNotification) {
+        showAlarmNotification(timer, getAlarmAlertText(timer, lapIndex), lap.alarmStage !== 'warning');
+    }
+
+    if (settings.alertVibrate && isVibrationSupported()) {
+        try {
+            navigator.vibrate(VIBRATION_PATTERNS[lap.alarmStage] || VIBRATION_PATTERNS.due);
+        } catch (error) {
+            console.warn('Vibration failed:', error);
+        }
+    }
+
+    updateAlarmAlerts();
+}
+
+/**
+ * Show a system notification for a timer, replacing its previous one
+ * @param {object} timer - Timer instance
+ * @param {string} title - Notification title
+ * @param {boolean} persistent - Keep it on screen until dismissed (where supported)
+ */
+function showAlarmNotification(timer, title, persistent) {
+    if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+
+    closeAlarmNotification(timer.id);
+    try {
+        const notification = new Notification(title, {
+            body: 'Record the lap, or open the stopwatch to silence or snooze the alarm.',
+            tag: `lap-alarm-${timer.id}`,
+            renotify: true,
+            requireInteraction: persistent
+        });
+        notification.onclick = () => {
+            window.focus();
+            setActiveTimer(timer.id);
+            notification.close();
+        };
+        alerts.notifications[timer.id] = notification;
+    } catch (error) {
+        // e.g. Chrome on Android only allows notifications from a service worker
+        console.warn('Could not show notification:', error);
+    }
+}
+
+/**
+ * Close the notification shown for a timer's alarm, if any
+ * @param {string} timerId - Timer ID
+ */
+function closeAlarmNotification(timerId) {
+    if (alerts.notifications[timerId]) {
+        alerts.notifications[timerId].close();
+        delete alerts.notifications[timerId];
+    }
+}
+
+/**
+ * Get the first timer whose main alarm or overrun is ringing right now
+ * (not during a warning or a snooze)
+ * @returns {object|null} Timer instance, or null
+ */
+function getRingingTimer() {
+    return state.timers.find(timer => {
+        const lap = getActiveAlarmLap(timer);
+        return lap !== null && lap.snoozeUntil === null
+            && (lap.alarmStage === 'due' || lap.alarmStage === 'overrun');
+    }) || null;
+}
+
+/**
+ * Start or stop the title/favicon flash to match the alarm state
+ * The flash runs while any timer is ringing. Notifications of timers
+ * whose alarm is no longer active are closed.
+ */
+function updateAlarmAlerts() {
+    Object.keys(alerts.notifications).forEach(timerId => {
+        const timer = state.timers.find(candidate => candidate.id === timerId);
+        if (!timer || getActiveAlarmLap(timer) === null) {
+            closeAlarmNotification(timerId);
+        }
+    });
+
+    if (getRingingTimer() && settings.alertTitleFlash) {
+        if (alerts.flashTimerId === null) {
+            alerts.originalTitle = document.title;
+            alerts.originalFavicon = elements.favicon.getAttribute('href');
+            alerts.flashTimerId = setInterval(flashAlarmTitle, 1000);
+            flashAlarmTitle();
+        }
+    } else if (alerts.flashTimerId !== null) {
+        clearInterval(alerts.flashTimerId);
+        alerts.flashTimerId = null;
+        alerts.flashOn = false;
+        document.title = alerts.originalTitle;
+        elements.favicon.setAttribute('href', alerts.originalFavicon);
+    }
+}
+
+/**
+ * Toggle the tab title between the ringing timer's overrun time and the normal title
+ */
+function flashAlarmTitle() {
+    const timer = getRingingTimer();
+    if (!timer) return;
+
+    const lapIndex = timer.laps.length - 1;
+    const lap = timer.laps[lapIndex];
+
+    alerts.flashOn = !alerts.flashOn;
+    if (alerts.flashOn) {
+        const overrun = getLapElapsedTime(timer, lapIndex) - lap.alarmDuration;
+        const timerName = state.timers.length > 1 ? ` · ${timer.name}` : '';
+        document.title = `⏰ ${formatSignedTime(overrun)}${timerName} · Lap ${lapIndex + 1}`;
+        elements.favicon.setAttribute('href', ALERT_FAVICON);
+    } else {
+        document.title = alerts.originalTitle;
+        elements.favicon.setAttribute('href', alerts.originalFavicon);
+    }
+}
+
+// ============================================
+// Announcements: Screen Reader Live Region & Speech
+// ============================================
+
+/**
+ * Recorded laps and alarm stages are announced in a polite live region
+ * (#announcer) for screen readers, and optionally spoken with the browser's
+ * speech synthesis (see the speech* / speak* settings). Both follow the
+ * 'lap', 'alarm', 'budget' and 'schedule' events of the Public API, which
+ * only the tab that runs the timing emits. That tab relays each message to
+ * the live regions of the other tabs (the screen reader may be on any of
+ * them) and is the only one that speaks, so a cue is never heard twice.
+ */
+const ANNOUNCER_MAX_MESSAGES = 3;   // Older messages are removed from the live region
+
+// Setting that switches speech on for each announced event
+const SPEECH_EVENT_SETTINGS = {
+    lap: 'speakLap',
+    warning: 'speakWarning',
+    due: 'speakDue',
+    overrun: 'speakOverrun',
+    budget: 'speakBudget',
+    schedule: 'speakSchedule'
+};
+
+/**
+ * Check whether the browser can speak
+ * @returns {boolean}
+ */
+function isSpeechSupported() {
+    return typeof window.speechSynthesis === 'object' && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+/**
+ * Subscribe the announcer to lap, alarm, budget and schedule events
+ */
+function initAnnouncements() {
+    window.NewspaperTimer.on('lap', (detail) => {
+        announce(getLapAnnouncement(detail), 'lap');
+    });
+    window.NewspaperTimer.on('alarm', (detail) => {
+        // An auto-advanced lap is already announced by its 'lap' event
+        if (detail.autoRecorded) return;
+        announce(getAlarmAnnouncement(detail), detail.stage);
+    });
+    window.NewspaperTimer.on('budget', (detail) => {
+        announce(getBudgetAnnouncement(detail), 'budget');
+    });
+    window.NewspaperTimer.on('schedule', (detail) => {
+        announce(getScheduleAnnouncement(detail), 'schedule');
+    });
+
+    if (isSpeechSupported()) {
+        // Voices load asynchronously in most browsers
+        speechSynthesis.addEventListener('voiceschanged', () => {
+            if (!elements.settingsPanel.hidden) {
+                renderSpeechVoiceOptions(elements.speechVoiceSelect.value);
+            }
+        });
+    }
+}
+
+/**
+ * Describe a recorded lap, e.g. "Lap 2 recorded, 1 minute 30 seconds"
+ * @param {object} detail - 'lap' event detail
+ * @returns {string} Announcement text
+ */
+function getLapAnnouncement(detail) {
+    const lap = detail.lap;
+    const segment = lap.segment ? `, ${lap.segment},` : '';
+    return withTimerName(detail.timerName, `Lap ${lap.lapNumber}${segment} recorded, ${formatDurationLabel(lap.recordedTime)}`);
+}
+
+/**
+ * Describe an alarm stage, e.g. "Lap 3, 1 minute remaining" or
+ * "Lap 3, over by 30 seconds"
+ * @param {object} detail - 'alarm' event detail
+ * @returns {string} Announcement text
+ */
+function getAlarmAnnouncement(detail) {
+    const lapName = detail.segment ? `Lap ${detail.lapNumber}, ${detail.segment}` : `Lap ${detail.lapNumber}`;
+    let text;
+    switch (detail.stage) {
+        case 'warning':
+            text = `${lapName}, ${formatDurationLabel(detail.alarmDuration - detail.lapElapsed)} remaining`;
+            break;
+        case 'overrun':
+            text = `${lapName}, over by ${formatDurationLabel(detail.lapElapsed - detail.alarmDuration)}`;
+            break;
+        default:
+            text = `${lapName}, time is up`;
+    }
+    return withTimerName(detail.timerName, text);
+}
+
+/**
+ * Describe a session budget alert, e.g. "5 minutes of budget left" or
+ * "Plan over budget by 2 minutes 30 seconds"
+ * @param {object} detail - 'budget' event detail
+ * @returns {string} Announcement text
+ */
+function getBudgetAnnouncement(detail) {
+    let text;
+    switch (detail.stage) {
+        case 'exhausted':
+            text = 'Session budget used up';
+            break;
+        case 'plan-over':
+            text = `Plan over budget by ${formatDurationLabel(detail.projectedFinish - detail.budget)}`;
+            break;
+        default:
+            text = `${formatDurationLabel(detail.remaining)} of budget left`;
+    }
+    return withTimerName(detail.timerName, text);
+}
+
+/**
+ * Describe a scheduled start event, e.g. "Starting in 1 minute" or
+ * "Scheduled start missed"
+ * @param {object} detail - 'schedule' event detail
+ * @returns {string} Announcement text
+ */
+function getScheduleAnnouncement(detail) {
+    let text;
+    switch (detail.stage) {
+        case 'alert':
+            text = `Starting in ${formatDurationLabel(detail.startsIn)}`;
+            break;
+        case 'missed':
+            text = 'Scheduled start missed';
+            break;
+        case 'skipped':
+            text = 'Scheduled start skipped, a session is in progress';
+            break;
+        default:
+            text = 'Started on schedule';
+    }
+    return withTimerName(detail.timerName, text);
+}
+
+/**
+ * Announce a message in every tab's live region, and speak it here if
+ * speech is on for the event
+ * @param {string} text - Message
+ * @param {string} eventName - Key of SPEECH_EVENT_SETTINGS
+ */
+function announce(text, eventName) {
+    addLiveRegionMessage(text);
+    postTabSyncMessage({ type: 'announce', text });
+
+    if (settings.speechEnabled && settings[SPEECH_EVENT_SETTINGS[eventName]]) {
+        speak(text);
+    }
+}
+
+/**
+ * Add a message to this tab's live region
+ * Each message is a new element, so a repeated message is read again.
+ * @param {string} text - Message
+ */
+function addLiveRegionMessage(text) {
+    const message = document.createElement('p');
+    message.textContent = text;
+    elements.announcer.appendChild(message);
+    while (elements.announcer.children.length > ANNOUNCER_MAX_MESSAGES) {
+        elements.announcer.firstElementChild.remove();
+    }
+}
+
+/**
+ * Speak a message with the chosen voice and rate
+ * A new message interrupts the one being spoken, so cues never queue up
+ * behind the moment they describe.
+ * @param {string} text - Message
+ * @param {object} [options] - { voice: voiceURI, rate } overriding the settings
+ */
+function speak(text, options = {}) {
+    if (!isSpeechSupported()) return;
+
+    try {
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voiceURI = options.voice !== undefined ? options.voice : settings.speechVoice;
+        const voice = speechSynthesis.getVoices().find(candidate => candidate.voiceURI === voiceURI);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        utterance.rate = options.rate !== undefined ? options.rate : settings.speechRate;
+        speechSynthesis.cancel();
+        speechSynthesis.speak(utterance);
+    } catch (error) {
+        console.warn('Speech failed:', error);
+    }
+}
+
+// ============================================
+// Stopwatch Instances
+// ============================================
+
+/**
+ * Create a stopwatch instance
+ * Every timer runs independently with its own laps, alarm profile, name
+ * and color; the engine functions below all take the timer they act on.
+ * 
+ * Timer object structure:
+ * - id, name, color: identity shown on the timer tabs
+ * - isRunning: whether the stopwatch is counting
+ * - startTime: timestamp the stopwatch (re)started from, shifted by paused time
+ * - pausedTime: elapsed time frozen at the last pause
+ * - currentLapStartTime: timestamp the current lap started from (shifted the same way)
+ * - laps: array of lap objects (see createPendingLap)
+ * - profileId: alarm profile used for new laps
+ * - undoStack, redoStack: session snapshots for undo/redo (kept in memory only)
+ * - schedule: armed or missed scheduled start, or null (see normalizeScheduledStart)
+ * 
+ * @param {object} [options] - { id, name, color, profileId, schedule }
+ * @returns {object} Timer instance
+ */
+function createTimer(options = {}) {
+    return {
+        id: options.id || generateId('timer'),
+        name: options.name || `Timer ${state.timers.length + 1}`,
+        color: options.color || getNextTimerColor(),
+        isRunning: false,
+        startTime: null,
+        pausedTime: 0,
+        currentLapStartTime: null,
+        laps: [],
+        profileId: state.profiles.some(profile => profile.id === options.profileId)
+            ? options.profileId
+            : state.defaultProfileId,
+        undoStack: [],
+        redoStack: [],
+        budgetFired: [],        // Budget warnings (ms left) already rung this session; 0 = budget used up
+        budgetPlanOver: false,  // Whether the planned laps were last projected to overrun the budget
+        schedule: normalizeScheduledStart(options.schedule)
+    };
+}
+
+/**
+ * Pick the first accent color no timer uses yet
+ * @returns {string} CSS color
+ */
+function getNextTimerColor() {
+    const used = state.timers.map(timer => timer.color);
+    return TIMER_COLORS.find(color => !used.includes(color)) || TIMER_COLORS[state.timers.length % TIMER_COLORS.length];
+}
+
+/**
+ * Get the focused timer (the one shown in the sidebar and lap list)
+ * @returns {object} Timer instance
+ */
+function getActiveTimer() {
+    return state.timers.find(timer => timer.id === state.activeTimerId) || state.timers[0];
+}
+
+/**
+ * Check whether a timer is the focused one
+ * The engine calls the UI helpers for any timer; they only draw the focused one.
+ * @param {object} timer - Timer instance
+ * @returns {boolean}
+ */
+function isActiveTimer(timer) {
+    return timer === getActiveTimer();
+}
+
+/**
+ * Add a new, idle timer and focus it
+ * It starts with the focused timer's profile.
+ * @returns {object} The new timer
+ */
+function addTimer() {
+    const activeTimer = getActiveTimer();
+    let number = state.timers.length + 1;
+    while (state.timers.some(timer => timer.name === `Timer ${number}`)) {
+        number++;
+    }
+
+    const timer = createTimer({
+        name: `Timer ${number}`,
+        profileId: activeTimer ? activeTimer.profileId : state.defaultProfileId
+    });
+    state.timers.push(timer);
+    setActiveTimer(timer.id);
+    return timer;
+}
+
+/**
+ * Remove a timer (the last remaining timer cannot be removed)
+ * Its recorded laps are archived to the history first, as on reset.
+ * @param {string} timerId - Timer ID
+ */
+function removeTimer(timerId) {
+    const index = state.timers.findIndex(timer => timer.id === timerId);
+    if (index === -1 || state.timers.length <= 1) return;
+
+    const timer = state.timers[index];
+    timer.isRunning = false;
+    stopAlarmSound(timer.id);
+    archiveSession(getLiveSessionRecord(timer));
+    clearSessionFromStorage(timer);
+
+    state.timers.splice(index, 1);
+    if (state.activeTimerId === timerId) {
+        state.activeTimerId = state.timers[Math.min(index, state.timers.length - 1)].id;
+    }
+
+    saveTimersToStorage();
+    updateTicking();
+    renderActiveTimer();
+}
+
+/**
+ * Rename a timer
+ * @param {object} timer - Timer instance
+ * @param {string} name - New name (blank names are ignored)
+ * @returns {boolean} Whether the name was changed
+ */
+function renameTimer(timer, name) {
+    const trimmed = name.trim().slice(0, 40);
+    if (trimmed === '') return false;
+
+    timer.name = trimmed;
+    saveTimersToStorage();
+    renderTimerTabs();
+    return true;
+}
+
+/**
+ * Change a timer's accent color
+ * @param {object} timer - Timer instance
+ * @param {string} color - CSS color (#rrggbb)
+ */
+function setTimerColor(timer, color) {
+    timer.color = color;
+    saveTimersToStorage();
+    renderTimerTabs();
+    renderTimerIdentity();
+}
+
+/**
+ * Focus a timer: the sidebar, lap list, profile section and shortcuts switch to it
+ * @param {string} timerId - Timer ID
+ */
+function setActiveTimer(timerId) {
+    if (!state.timers.some(timer => timer.id === timerId)) return;
+
+    closeReviewSession();
+    state.activeTimerId = timerId;
+    saveTimersToStorage();
+    renderActiveTimer();
+}
+
+// ============================================
+// Core Stopwatch Logic
+// ============================================
+
+/**
+ * Start or resume a stopwatch
+ * @param {object} timer - Timer instance
+ * @param {number|null} [startedAt] - Wall-clock time (Date.now()) a new session
+ *                                    counts from, e.g. a scheduled start; default now
+ */
+function startStopwatch(timer, startedAt = null) {
+    if (timer.isRunning || isSessionComplete(timer)) return;
+    if (forwardToLeader('startStopwatch', timer, startedAt)) return;
+    const isResume = timer.laps.length > 0;
+    recordUndoStep(timer, isResume ? 'Resume' : 'Start');
+
+    const previousStartTime = timer.startTime;
+    const backdate = !isResume && Number.isFinite(startedAt) ? Math.max(0, Date.now() - startedAt) : 0;
+    timer.isRunning = true;
+    timer.startTime = getNow() - timer.pausedTime - backdate;
+    
+    // Initialize current lap timer on first start
+    if (timer.currentLapStartTime === null) {
+        timer.currentLapStartTime = timer.startTime;
+    } else {
+        // Shift the current lap by the same amount so the pause isn't counted
+        timer.currentLapStartTime += timer.startTime - previousStartTime;
+    }
+
+    // Create the first lap box when stopwatch starts (only if no laps exist)
+    if (timer.laps.length === 0) {
+        const firstLap = createPendingLap(timer, 0);
+        firstLap.createdAt = timer.startTime;   // Earlier than now when backdated
+        timer.laps.push(firstLap);
+        renderLaps();
+    }
+    if (!isResume) {
+        // A new session settles a start the schedule missed
+        clearMissedStart(timer);
+    }
+
+    // Update UI
+    updateTimerControls();
+    updateProfileControls();
+    renderTimerTabs();
+
+    updateTicking();
+    saveSessionToStorage(timer);
+    emitTimerEvent(timer, 'start', { resumed: isResume });
+}
+
+/**
+ * Pause a stopwatch (can be resumed)
+ * Also pauses the current lap timer (both display and backend)
+ * @param {object} timer - Timer instance
+ */
+function pauseStopwatch(timer) {
+    if (!timer.isRunning) return;
+    if (forwardToLeader('pauseStopwatch', timer)) return;
+    recordUndoStep(timer, 'Pause');
+
+    timer.isRunning = false;
+    // Capture the exact elapsed time rather than the last displayed frame
+    timer.pausedTime = getNow() - timer.startTime;
+    updateTicking();
+    // The budget stops counting, so its warning stops ringing
+    stopAlarmSound(`budget:${timer.id}`);
+
+    // Update UI
+    updateTimerControls();
+    updateStopwatchDisplay();
+    updateCurrentLapDisplay();
+    renderTimerTabs();
+
+    saveSessionToStorage(timer);
+    emitTimerEvent(timer, 'pause');
+}
+
+/**
+ * Reset a stopwatch and clear all its laps
+ * Recorded laps are archived to the session history first
+ * @param {object} timer - Timer instance
+ * @param {string} [undoStepId] - ID for the reset's undo step, so the caller
+ *                                can later undo exactly this reset
+ */
+function resetStopwatch(timer, undoStepId = null) {
+    if (forwardToLeader('resetStopwatch', timer, undoStepId)) return;
+    const undoStep = recordUndoStep(timer, 'Reset', undoStepId);
+    stopAlarmSound(timer.id);
+    timer.isRunning = false;
+    timer.pausedTime = 0;
+    timer.startTime = null;
+    timer.currentLapStartTime = null;
+
+    updateTicking();
+
+    // Keep finished runs: archive the session before the live state is cleared
+    // (undoing the reset takes it out of the history again)
+    const archived = archiveSession(getLiveSessionRecord(timer));
+    undoStep.archivedSessionId = archived ? archived.id : null;
+    const lapCount = timer.laps.filter(lap => lap.isRecorded).length;
+    timer.laps = [];
+    timer.budgetFired = [];
+    timer.budgetPlanOver = false;
+    clearSessionFromStorage(timer);
+    emitTimerEvent(timer, 'reset', { lapCount, archivedSessionId: undoStep.archivedSessionId });
+
+    // Update UI
+    updateTimerControls();
+    updateStopwatchDisplay();
+    updateCurrentLapDisplay();
+    renderLaps();
+    updateProfileControls();
+    updateAlarmControls();
+    renderTimerTabs();
+}
+
+/**
+ * Get a stopwatch's total elapsed time
+ * @param {object} timer - Timer instance
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getTimerElapsedTime(timer) {
+    if (timer.startTime === null) return 0;
+    return timer.isRunning ? getNow() - timer.startTime : timer.pausedTime;
+}
+
+/**
+ * Get the elapsed time of a timer's current (not yet recorded) lap
+ * Measured from currentLapStartTime while running, or frozen at pausedTime while paused
+ * @param {object} timer - Timer instance
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getCurrentLapElapsedTime(timer) {
+    if (timer.currentLapStartTime === null) return 0;
+
+    let currentLapElapsedTime;
+    if (timer.isRunning) {
+        currentLapElapsedTime = getNow() - timer.currentLapStartTime;
+    } else {
+        currentLapElapsedTime = timer.pausedTime - (timer.currentLapStartTime - timer.startTime);
+    }
+    return Math.max(0, currentLapElapsedTime);
+}
+
+// ============================================
+// Timing: Alarm Deadlines & Display Loop
+// ============================================
+
+/**
+ * Browsers throttle timers in background tabs (to once a second or less),
+ * so alarms are not polled. Instead the time of the next alarm event is
+ * computed from the lap's settings and scheduled once, on a Web Worker
+ * whose timers are not throttled like the page's. The displays are redrawn
+ * with requestAnimationFrame, which only runs while the tab is visible.
+ */
+const timing = {
+    worker: undefined,      // Ticker worker; null if workers are unavailable
+    ticking: false,         // Whether the heartbeat and display loop are running
+    alarmTimeoutId: null,   // Fallback timers when there is no worker
+    heartbeatId: null,
+    frameId: null           // requestAnimationFrame handle of the display loop
+};
+
+// Safety net: re-check alarms this often in case a deadline was missed
+const TIMING_HEARTBEAT_INTERVAL = 1000;
+
+/**
+ * Body of the ticker worker (runs in its own thread, see getTimingWorker)
+ * Commands: { command: 'schedule', delay } arms the single alarm timeout
+ * (delay null disarms it), { command: 'start', interval } starts the
+ * heartbeat, { command: 'stop' } clears everything.
+ * Posts 'alarm' when the timeout fires and 'tick' on every heartbeat.
+ */
+function timingWorkerMain() {
+    let alarmTimeoutId = null;
+    let heartbeatId = null;
+
+    self.onmessage = (event) => {
+        const message = event.data;
+        if (message.command === 'schedule') {
+            clearTimeout(alarmTimeoutId);
+            alarmTimeoutId = message.delay === null
+                ? null
+                : setTimeout(() => self.postMessage('alarm'), message.delay);
+        } else if (message.command === 'start') {
+            clearInterval(heartbeatId);
+            heartbeatId = setInterval(() => self.postMessage('tick'), message.interval);
+        } else if (message.command === 'stop') {
+            clearTimeout(alarmTimeoutId);
+            clearInterval(heartbeatId);
+        }
+    };
+}
+
+/**
+ * Get (creating on first use) the ticker worker
+ * The worker is built from a Blob so it also works when the app is opened
+ * from file://.
+ * @returns {Worker|null} Worker, or null if workers can't be created here
+ */
+function getTimingWorker() {
+    if (timing.worker !== undefined) return timing.worker;
+
+    timing.worker = null;
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || !window.URL || !URL.createObjectURL) {
+        return null;
+    }
+
+    try {
+        const source = `(${timingWorkerMain.toString()})();`;
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+        worker.onmessage = (event) => (event.data === 'tick' ? runHeartbeat() : runTimingPass());
+        worker.onerror = (error) => {
+            console.warn('Timing worker failed, falling back to page timers:', error.message);
+            worker.terminate();
+            timing.worker = null;
+            timing.ticking = false;
+            updateTicking();
+        };
+        timing.worker = worker;
+    } catch (error) {
+        console.warn('Timing worker unavailable, using page timers:', error);
+    }
+    return timing.worker;
+}
+
+/**
+ * Start or stop timing to match the timers: the display loop and heartbeat
+ * run while any timer is running or has a scheduled start armed, and the
+ * alarm timer is re-armed
+ * Call after a timer starts, pauses, resets or is removed, or its schedule changes.
+ */
+function updateTicking() {
+    if (state.timers.some(timer => timer.isRunning || isStartScheduled(timer))) {
+        startTicking();
+        scheduleNextAlarm();
+    } else {
+        stopTicking();
+    }
+}
+
+/**
+ * Start the display loop and heartbeat (no-op if already running)
+ */
+function startTicking() {
+    if (timing.ticking) return;
+    timing.ticking = true;
+
+    const worker = getTimingWorker();
+    if (worker) {
+        worker.postMessage({ command: 'start', interval: TIMING_HEARTBEAT_INTERVAL });
+    } else {
+        timing.heartbeatId = setInterval(runHeartbeat, TIMING_HEARTBEAT_INTERVAL);
+    }
+    startDisplayLoop();
+}
+
+/**
+ * Stop all timing (once no timer is running)
+ */
+function stopTicking() {
+    timing.ticking = false;
+    if (timing.worker) {
+        timing.worker.postMessage({ command: 'stop' });
+    }
+    clearTimeout(timing.alarmTimeoutId);
+    clearInterval(timing.heartbeatId);
+    timing.alarmTimeoutId = null;
+    timing.heartbeatId = null;
+    stopDisplayLoop();
+}
+
+/**
+ * Fire any scheduled start, lap alarm or budget warning that is due and
+ * schedule the next one
+ * Runs on the alarm deadline, on every heartbeat and when the tab becomes visible.
+ */
+function runTimingPass() {
+    // Also renews (or claims) the leader lease where page timers are throttled
+    checkLeadership();
+    state.timers.forEach(timer => checkScheduledStart(timer));
+    state.timers
+        .filter(timer => timer.isRunning)
+        .forEach(timer => {
+            checkLapAlarms(timer);
+            checkSessionBudget(timer);
+        });
+    scheduleNextAlarm();
+}
+
+/**
+ * Heartbeat: the timing pass plus the API's 'tick' events
+ */
+function runHeartbeat() {
+    runTimingPass();
+    emitTickEvents();
+}
+
+/**
+ * Arm a single timer for the earliest next alarm event across all timers
+ * Call after anything that changes a pending lap's alarm: a new lap,
+ * an alarm firing, Silence, Snooze or an edit.
+ */
+function scheduleNextAlarm() {
+    // Followers don't ring, so they have nothing to schedule
+    const deadlines = !isTabLeader() ? [] : state.timers
+        .flatMap(timer => [getNextAlarmDeadline(timer), getNextBudgetDeadline(timer), getNextScheduleDeadline(timer)])
+        .filter(deadline => deadline !== null);
+    const delay = deadlines.length > 0 ? Math.max(0, Math.min(...deadlines) - getNow()) : null;
+
+    if (timing.worker) {
+        timing.worker.postMessage({ command: 'schedule', delay });
+        return;
+    }
+
+    clearTimeout(timing.alarmTimeoutId);
+    timing.alarmTimeoutId = delay === null ? null : setTimeout(runTimingPass, delay);
+}
+
+/**
+ * Work out when a timer's pending lap has its next alarm event
+ * Mirrors the stage rules of checkLapAlarms(): the end of a snooze, the
+ * warning, the main alarm, or the next overrun repeat.
+ * @param {object} timer - Timer instance
+ * @returns {number|null} Wall-clock timestamp, or null if nothing more will ring
+ */
+function getNextAlarmDeadline(timer) {
+    const lap = timer.laps[timer.laps.length - 1];
+    if (!timer.isRunning || !lap || lap.isRecorded || !lap.enabled || timer.currentLapStartTime === null) return null;
+
+    const { warningLead, repeatInterval } = lap.stages;
+    let lapDeadline;
+
+    if (lap.snoozeUntil !== null) {
+        lapDeadline = lap.snoozeUntil;
+    } else if (lap.alarmStage === 'pending') {
+        lapDeadline = warningLead > 0 ? lap.alarmDuration - warningLead : lap.alarmDuration;
+    } else if (lap.alarmStage === 'warning') {
+        lapDeadline = lap.alarmDuration;
+    } else if (repeatInterval > 0 && !lap.silenced) {
+        lapDeadline = lap.alarmDuration + (lap.overrunCount + 1) * repeatInterval;
+    } else {
+        lapDeadline = null;
+    }
+
+    // Auto-advance laps end exactly on target, even while snoozed
+    if (lap.autoAdvance) {
+        lapDeadline = lapDeadline === null ? lap.alarmDuration : Math.min(lapDeadline, lap.alarmDuration);
+    }
+    if (lapDeadline === null) return null;
+
+    return timer.currentLapStartTime + Math.max(0, lapDeadline);
+}
+
+/**
+ * Redraw the time displays on every animation frame while visible
+ */
+function startDisplayLoop() {
+    stopDisplayLoop();
+    if (document.hidden || typeof requestAnimationFrame !== 'function') return;
+
+    const frame = () => {
+        updateStopwatchDisplay();
+        updateCurrentLapDisplay();
+        updateTimerTabs();
+        timing.frameId = requestAnimationFrame(frame);
+    };
+    timing.frameId = requestAnimationFrame(frame);
+}
+
+/**
+ * Stop the display loop
+ */
+function stopDisplayLoop() {
+    if (timing.frameId !== null) {
+        cancelAnimationFrame(timing.frameId);
+        timing.frameId = null;
+    }
+}
+
+// ============================================
+// Lap Management
+// ============================================
+
+/**
+ * Create a new lap with current stopwatch time
+ * Each lap stores its creation time and alarm configuration
+ * 
+ * When a new lap is recorded:
+ * - Record the elapsed time from the current active lap
+ * - Stop the currently playing alarm sound
+ * - Disable the alarm for the previously recorded lap
+ * - Start a new current lap timer
+ * 
+ * @param {object} timer - Timer instance
+ */
+function createLap(timer) {
+    if (!timer.isRunning && timer.laps.length === 0) {
+        console.warn('Start the stopwatch before creating laps');
+        return;
+    }
+    if (isSessionComplete(timer)) return;
+    if (forwardToLeader('createLap', timer)) return;
+    recordUndoStep(timer, 'Lap');
+
+    // Get the elapsed time from the current lap BEFORE creating a new one
+    const recordedTime = getCurrentLapElapsedTime(timer);
+
+    // Stop any currently playing alarm when a new lap is recorded
+    stopAlarmSound(timer.id);
+
+    let recordedLapIndex = null;
+    if (timer.laps.length > 0) {
+        const currentLapIndex = timer.laps.length - 1;
+        const currentLap = timer.laps[currentLapIndex];
+        
+        // If this is the first lap (pending), just record it
+        // (triggered is kept so exports can show whether the alarm fired)
+        if (!currentLap.isRecorded) {
+            currentLap.recordedTime = Math.max(0, recordedTime);
+            currentLap.isRecorded = true;
+            currentLap.enabled = false;
+            recordedLapIndex = currentLapIndex;
+        } else {
+            // For subsequent laps, disable the current one
+            currentLap.enabled = false;
+            currentLap.triggered = false;
+        }
+        updateLapUI(timer, currentLapIndex);
+    }
+
+    timer.laps.push(createPendingLap(timer, timer.laps.length));
+    
+    // Reset current lap timer for the next lap
+    timer.currentLapStartTime = timer.isRunning ? getNow() : timer.startTime + timer.pausedTime;
+    
+    renderLaps();
+    updateCurrentLapDisplay();
+    updateAlarmControls();
+    scheduleNextAlarm();
+    
+    // Save the session (including the recorded lap) to local storage
+    saveSessionToStorage(timer);
+
+    if (recordedLapIndex !== null) {
+        emitTimerEvent(timer, 'lap', { lap: getApiLapRecord(timer, recordedLapIndex) });
+    }
+}
+
+/**
+ * Build a new pending lap with its alarm taken from the active profile
+ * If the profile has no duration for this lap, the alarm starts disabled
+ * 
+ * Lap object structure:
+ * - createdAt: when the lap was created (timestamp)
+ * - recordedTime: the final elapsed time when this lap was recorded (frozen)
+ * - alarmDuration: configured alarm duration in milliseconds
+ * - triggered: whether the main (due) alarm has fired
+ * - enabled: whether the alarm is active
+ * - isRecorded: whether this lap has been finalized
+ * - stages: alarm stage settings (warningLead, repeatInterval, escalate)
+ * - alarmStage: stage reached so far: pending, warning, due or overrun
+ * - overrunCount: number of overrun repeats that have fired
+ * - silenced: alarm acknowledged with Silence (no more overrun repeats)
+ * - snoozeCount: how many times the alarm was snoozed
+ * - snoozeUntil: lap elapsed time when the snooze ends, or null
+ * - sound: alarm sound (SOUND_LIBRARY key), or null for the app default
+ * - segment: run-sheet segment name, or null for a plain lap
+ * - autoAdvance: record this lap automatically when its alarm is due
+ * - autoRecorded: the lap was recorded by auto-advance rather than Lap
+ * - note: free-text note ('' for none)
+ * 
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index the lap will have (0-based)
+ * @returns {object} Lap object
+ */
+function createPendingLap(timer, lapIndex) {
+    const profile = getTimerProfile(timer);
+    const alarmDuration = getProfileAlarmDuration(profile, lapIndex);
+
+    return {
+        createdAt: getNow(),
+        recordedTime: 0,
+        alarmDuration: alarmDuration || 0,
+        triggered: false,
+        enabled: alarmDuration !== null,
+        isRecorded: false,  // Mark this as pending, not yet recorded
+        stages: normalizeAlarmStages(profile.stages),
+        alarmStage: 'pending',
+        overrunCount: 0,
+        silenced: false,
+        snoozeCount: 0,
+        snoozeUntil: null,
+        sound: profile.sound || null,
+        segment: getProfileSegmentName(profile, lapIndex),
+        autoAdvance: profile.autoAdvance,
+        autoRecorded: false,
+        note: ''
+    };
+}
+
+/**
+ * Record the pending lap (and any further ones) once its alarm is due
+ * The lap is recorded at exactly its target, and the next lap starts from
+ * there, so auto-advanced rounds don't drift. Several rounds can come due at
+ * once after a reload; they are all recorded but the alarm sounds once.
+ * When the profile's number of rounds is reached the timer stops with no
+ * pending lap (see isSessionComplete).
+ * @param {object} timer - Timer instance
+ */
+function autoAdvanceLaps(timer) {
+    const profile = getTimerProfile(timer);
+    let lastRecordedIndex = null;
+    let isFinished = false;
+    const recordedIndexes = [];
+
+    while (!isFinished) {
+        const lapIndex = timer.laps.length - 1;
+        const lap = timer.laps[lapIndex];
+        if (!lap.enabled || !lap.autoAdvance || getLapElapsedTime(timer, lapIndex) < lap.alarmDuration) break;
+
+        const lapEnd = timer.currentLapStartTime + lap.alarmDuration;
+        lap.recordedTime = lap.alarmDuration;
+        lap.isRecorded = true;
+        lap.enabled = false;
+        lap.triggered = true;
+        lap.alarmStage = 'due';
+        lap.snoozeUntil = null;
+        lap.autoRecorded = true;
+        lastRecordedIndex = lapIndex;
+        recordedIndexes.push(lapIndex);
+
+        if (profile.rounds > 0 && timer.laps.length >= profile.rounds) {
+            // Final round: stop with the total frozen at the end of the lap
+            timer.isRunning = false;
+            timer.pausedTime = lapEnd - timer.startTime;
+            timer.currentLapStartTime = lapEnd;
+            isFinished = true;
+        } else {
+            const nextLap = createPendingLap(timer, timer.laps.length);
+            nextLap.createdAt = lapEnd;
+            timer.laps.push(nextLap);
+            timer.currentLapStartTime = lapEnd;
+        }
+    }
+    if (lastRecordedIndex === null) return;
+
+    stopAlarmSound(timer.id);
+    const lastRecorded = timer.laps[lastRecordedIndex];
+    playAlarmSound({ volume: ALARM_STAGE_VOLUMES.due, sound: lastRecorded.sound, owner: timer.id });
+    fireAlarmAlerts(timer, lastRecordedIndex);
+
+    if (isFinished) {
+        updateTicking();
+        updateTimerControls();
+        updateProfileControls();
+        showToast(withTimerName(timer.name, `All ${timer.laps.length} rounds done`));
+    }
+    if (isActiveTimer(timer)) {
+        renderLaps();
+        updateStopwatchDisplay();
+        updateCurrentLapDisplay();
+    }
+    renderTimerTabs();
+    updateAlarmControls();
+    scheduleNextAlarm();
+    saveSessionToStorage(timer);
+
+    recordedIndexes.forEach(lapIndex => emitTimerEvent(timer, 'lap', {
+        lap: getApiLapRecord(timer, lapIndex),
+        sessionComplete: isFinished && lapIndex === lastRecordedIndex
+    }));
+    emitTimerEvent(timer, 'alarm', {
+        ...getAlarmEventFields(lastRecorded, lastRecorded.recordedTime),
+        lapNumber: lastRecordedIndex + 1
+    });
+}
+
+/**
+ * Check whether a timer's session has finished its auto-advance rounds
+ * Only then is the last lap recorded with no pending lap after it;
+ * such a session can't be resumed, only reset.
+ * @param {object} timer - Timer instance
+ * @returns {boolean}
+ */
+function isSessionComplete(timer) {
+    const lastLap = timer.laps[timer.laps.length - 1];
+    return Boolean(lastLap && lastLap.isRecorded);
+}
+
+/**
+ * Get the elapsed time for a specific lap
+ * Recorded laps return their frozen time; the pending lap is measured from
+ * currentLapStartTime so paused time is never counted (and no jump on resume)
+ * 
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @returns {number} Elapsed time in milliseconds
+ */
+function getLapElapsedTime(timer, lapIndex) {
+    if (lapIndex >= timer.laps.length) return 0;
+
+    const lap = timer.laps[lapIndex];
+    if (lap.isRecorded) return lap.recordedTime;
+
+    return getCurrentLapElapsedTime(timer);
+}
+
+/**
+ * Check the current lap's alarm stages and fire the ones that are due
+ * 
+ * Alarm stages (see getAlarmStageAt):
+ * 1. warning - soft alarm stages.warningLead before the target
+ * 2. due     - main alarm at alarmDuration (sets 'triggered')
+ * 3. overrun - repeats every stages.repeatInterval while the lap runs over,
+ *              louder each time if stages.escalate is set
+ * 
+ * Only the current lap (most recently created) is checked, and only while
+ * its alarm is enabled. Each stage fires once; if several came due at once
+ * (e.g. after a reload) only the latest one sounds.
+ * 
+ * Auto-advance laps are recorded as soon as they are due instead (see
+ * autoAdvanceLaps), even while snoozed.
+ * 
+ * Silence and Snooze (see silenceAlarm / snoozeAlarm):
+ * - A silenced lap fires no further overrun repeats
+ * - A snoozed lap stays quiet until snoozeUntil, then rings again
+ * 
+ * Alarm state resets when:
+ * - The stopwatch is reset
+ * - A new lap is created
+ * - The lap's alarm time or stages are edited
+ * 
+ * @param {object} timer - Timer instance
+ */
+function checkLapAlarms(timer) {
+    // Only the leader tab rings; the others mirror its alarm state
+    if (!isTabLeader()) return;
+
+    // Only check the current lap (the most recently created one)
+    if (timer.laps.length === 0) return;
+
+    const currentLapIndex = timer.laps.length - 1;
+    const currentLap = timer.laps[currentLapIndex];
+
+    // Skip if alarm is disabled or the lap is already recorded
+    if (!currentLap.enabled || currentLap.isRecorded) return;
+
+    const lapElapsedTime = getLapElapsedTime(timer, currentLapIndex);
+    if (currentLap.autoAdvance && lapElapsedTime >= currentLap.alarmDuration) {
+        autoAdvanceLaps(timer);
+        return;
+    }
+    const reached = getAlarmStageAt(currentLap, lapElapsedTime);
+
+    let shouldRing;
+    if (currentLap.snoozeUntil !== null) {
+        // Stay quiet until the snooze ends, then ring whatever stage has been reached
+        if (lapElapsedTime < currentLap.snoozeUntil) return;
+        currentLap.snoozeUntil = null;
+        shouldRing = true;
+    } else {
+        shouldRing = ALARM_STAGE_ORDER.indexOf(reached.stage) > ALARM_STAGE_ORDER.indexOf(currentLap.alarmStage)
+            || (reached.stage === 'overrun' && reached.overrunCount > currentLap.overrunCount);
+
+        // Silenced laps still reach the due stage, but don't repeat while over
+        if (currentLap.silenced && reached.stage === 'overrun') {
+            shouldRing = false;
+        }
+    }
+    if (!shouldRing) return;
+
+    currentLap.alarmStage = reached.stage;
+    currentLap.overrunCount = reached.overrunCount;
+    if (reached.stage === 'due' || reached.stage === 'overrun') {
+        currentLap.triggered = true;
+    }
+
+    playAlarmSound({ volume: getAlarmStageVolume(currentLap), sound: currentLap.sound, owner: timer.id });
+    fireAlarmAlerts(timer, currentLapIndex);
+    updateLapUI(timer, currentLapIndex);
+    updateAlarmControls();
+    scheduleNextAlarm();
+    saveSessionToStorage(timer);
+    emitTimerEvent(timer, 'alarm', {
+        ...getAlarmEventFields(currentLap, lapElapsedTime),
+        lapNumber: currentLapIndex + 1
+    });
+}
+
+/**
+ * Describe the alarm stage a lap just reached, for 'alarm' events
+ * @param {object} lap - Lap object
+ * @param {number} lapElapsed - Lap time when the stage was reached (ms)
+ * @returns {object} { stage, overrunCount, alarmDuration, lapElapsed, segment, autoRecorded }
+ */
+function getAlarmEventFields(lap, lapElapsed) {
+    return {
+        stage: lap.alarmStage,
+        overrunCount: lap.overrunCount,
+        alarmDuration: lap.alarmDuration,
+        lapElapsed,
+        segment: lap.segment,
+        autoRecorded: Boolean(lap.autoRecorded)
+    };
+}
+
+/**
+ * Get the lap whose alarm Silence / Snooze act on
+ * That is the pending lap, once any of its alarm stages has fired.
+ * @param {object} timer - Timer instance
+ * @returns {object|null} Lap object, or null if no alarm is active
+ */
+function getActiveAlarmLap(timer) {
+    const currentLap = timer.laps[timer.laps.length - 1];
+    if (!currentLap || currentLap.isRecorded || !currentLap.enabled) return null;
+    if (currentLap.alarmStage === 'pending' || currentLap.silenced) return null;
+    return currentLap;
+}
+
+/**
+ * Silence the ringing alarm without recording a lap
+ * The lap keeps running. Once the main alarm has fired, the lap is marked
+ * silenced so overrun repeats stop; a silenced warning still lets the
+ * main alarm fire on time.
+ * @param {object} timer - Timer instance
+ */
+function silenceAlarm(timer) {
+    const lap = getActiveAlarmLap(timer);
+    if (!lap) return;
+    if (forwardToLeader('silenceAlarm', timer)) return;
+
+    stopAlarmSound(timer.id);
+    lap.snoozeUntil = null;
+    if (lap.alarmStage === 'due' || lap.alarmStage === 'overrun') {
+        lap.silenced = true;
+    }
+
+    updateLapUI(timer, timer.laps.length - 1);
+    updateAlarmControls();
+    scheduleNextAlarm();
+    saveSessionToStorage(timer);
+}
+
+/**
+ * Snooze the ringing alarm: stop the sound and ring again after settings.snoozeDelay
+ * The delay is measured on the lap's own elapsed time, so pausing also pauses the snooze.
+ * @param {object} timer - Timer instance
+ */
+function snoozeAlarm(timer) {
+    const lap = getActiveAlarmLap(timer);
+    if (!lap) return;
+    if (forwardToLeader('snoozeAlarm', timer)) return;
+
+    stopAlarmSound(timer.id);
+    lap.snoozeUntil = getLapElapsedTime(timer, timer.laps.length - 1) + settings.snoozeDelay;
+    lap.snoozeCount++;
+
+    updateLapUI(timer, timer.laps.length - 1);
+    updateAlarmControls();
+    scheduleNextAlarm();
+    saveSessionToStorage(timer);
+}
+
+/**
+ * Work out which alarm stage a lap has reached at a given elapsed time
+ * @param {object} lap - Lap object
+ * @param {number} elapsedTime - Lap elapsed time in milliseconds
+ * @returns {object} { stage: 'pending' | 'warning' | 'due' | 'overrun', overrunCount }
+ */
+function getAlarmStageAt(lap, elapsedTime) {
+    const { warningLead, repeatInterval } = lap.stages;
+
+    if (elapsedTime >= lap.alarmDuration) {
+        const overrunCount = repeatInterval > 0
+            ? Math.floor((elapsedTime - lap.alarmDuration) / repeatInterval)
+            : 0;
+        return { stage: overrunCount > 0 ? 'overrun' : 'due', overrunCount };
+    }
+
+    if (warningLead > 0 && elapsedTime >= lap.alarmDuration - warningLead) {
+        return { stage: 'warning', overrunCount: 0 };
+    }
+
+    return { stage: 'pending', overrunCount: 0 };
+}
+
+/**
+ * Get the playback volume for a lap's current alarm stage
+ * @param {object} lap - Lap object
+ * @returns {number} Volume between 0 and 1
+ */
+function getAlarmStageVolume(lap) {
+    switch (lap.alarmStage) {
+        case 'warning':
+            return ALARM_STAGE_VOLUMES.warning;
+        case 'overrun':
+            return lap.stages.escalate
+                ? Math.min(1, ALARM_STAGE_VOLUMES.due + ALARM_STAGE_VOLUMES.overrunStep * lap.overrunCount)
+                : ALARM_STAGE_VOLUMES.due;
+        default:
+            return ALARM_STAGE_VOLUMES.due;
+    }
+}
+
+/**
+ * Fill in missing or invalid alarm stage settings with the defaults
+ * @param {object} [stages] - Stage settings
+ * @returns {object} Complete stage settings
+ */
+function normalizeAlarmStages(stages) {
+    const isDuration = value => Number.isFinite(value) && value >= 0;
+    return {
+        warningLead: stages && isDuration(stages.warningLead) ? stages.warningLead : DEFAULT_ALARM_STAGES.warningLead,
+        repeatInterval: stages && isDuration(stages.repeatInterval) ? stages.repeatInterval : DEFAULT_ALARM_STAGES.repeatInterval,
+        escalate: stages && typeof stages.escalate === 'boolean' ? stages.escalate : DEFAULT_ALARM_STAGES.escalate
+    };
+}
+
+// ============================================
+// Lap Alarm Management
+// ============================================
+
+/**
+ * Update alarm duration for a lap
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @param {number} durationMs - New duration in milliseconds
+ */
+function updateLapAlarmDuration(timer, lapIndex, durationMs) {
+    if (lapIndex < timer.laps.length) {
+        if (forwardToLeader('updateLapAlarmDuration', timer, lapIndex, durationMs)) return;
+        recordUndoStep(timer, 'Alarm edit');
+        timer.laps[lapIndex].alarmDuration = durationMs;
+        // Reset alarm state when duration is changed (allows re-triggering at new time)
+        rearmLapAlarm(timer, lapIndex);
+        updateLapUI(timer, lapIndex);
+        saveSessionToStorage(timer);
+    }
+}
+
+/**
+ * Update a lap's alarm sound and stage settings as one edit (one undo step)
+ * Nothing is recorded when neither changed, and the alarm is only re-armed
+ * (silencing it if it rings) when the stages changed.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @param {object} changes - { sound: SOUND_LIBRARY key or null for the app default,
+ *                           stages: { warningLead, repeatInterval, escalate } }
+ */
+function updateLapAlarmSettings(timer, lapIndex, changes) {
+    if (lapIndex >= timer.laps.length) return;
+
+    const lap = timer.laps[lapIndex];
+    const sound = SOUND_LIBRARY[changes.sound] ? changes.sound : null;
+    const stages = normalizeAlarmStages(changes.stages);
+    const soundChanged = sound !== lap.sound;
+    const stagesChanged = Object.keys(stages).some(key => stages[key] !== lap.stages[key]);
+    if (!soundChanged && !stagesChanged) return;
+    if (forwardToLeader('updateLapAlarmSettings', timer, lapIndex, changes)) return;
+
+    recordUndoStep(timer, stagesChanged ? 'Alarm stages' : 'Alarm sound');
+    lap.sound = sound;
+    lap.stages = stages;
+    if (stagesChanged) {
+        rearmLapAlarm(timer, lapIndex);
+    }
+    updateLapUI(timer, lapIndex);
+    saveSessionToStorage(timer);
+}
+
+/**
+ * Reset a lap's alarm to its initial stage so it can fire again
+ * A ringing alarm on the pending lap is silenced first.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ */
+function rearmLapAlarm(timer, lapIndex) {
+    const lap = timer.laps[lapIndex];
+    if (lap.alarmStage !== 'pending' && !lap.isRecorded) {
+        stopAlarmSound(timer.id);
+    }
+    lap.triggered = false;
+    lap.alarmStage = 'pending';
+    lap.overrunCount = 0;
+    lap.silenced = false;
+    lap.snoozeUntil = null;
+    updateAlarmControls();
+    scheduleNextAlarm();
+}
+
+/**
+ * Toggle alarm enabled/disabled for a lap
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ */
+function toggleLapAlarm(timer, lapIndex) {
+    if (lapIndex < timer.laps.length) {
+        if (!timer.laps[lapIndex].enabled && timer.laps[lapIndex].alarmDuration <= 0) {
+            showLapAlarmError(lapIndex, 'Set an alarm time before enabling the alarm');
+            return;
+        }
+        if (forwardToLeader('toggleLapAlarm', timer, lapIndex)) return;
+        recordUndoStep(timer, timer.laps[lapIndex].enabled ? 'Alarm off' : 'Alarm on');
+        timer.laps[lapIndex].enabled = !timer.laps[lapIndex].enabled;
+        // Reset alarm state when toggling (allows fresh alarm state)
+        rearmLapAlarm(timer, lapIndex);
+        updateLapUI(timer, lapIndex);
+        saveSessionToStorage(timer);
+    }
+}
+
+// ============================================
+// Lap Editing (recorded laps)
+// ============================================
+
+/**
+ * Set the free-text note of a lap
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @param {string} note - Note text ('' to clear)
+ */
+function setLapNote(timer, lapIndex, note) {
+    const lap = timer.laps[lapIndex];
+    if (!lap || lap.note === note) return;
+    if (forwardToLeader('setLapNote', timer, lapIndex, note)) return;
+
+    recordUndoStep(timer, 'Note');
+    lap.note = note.slice(0, LAP_NOTE_MAX_LENGTH);
+    applyLapEdit(timer);
+}
+
+/**
+ * Delete a recorded lap, merging its time into a neighbour: the previous lap,
+ * or for the first lap the one after it (which then starts earlier)
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the recorded lap
+ * @returns {boolean} Whether the lap was deleted (false if it has no neighbour)
+ */
+function deleteLap(timer, lapIndex) {
+    const lap = timer.laps[lapIndex];
+    if (!lap || !lap.isRecorded || timer.laps.length < 2) return false;
+    if (forwardToLeader('deleteLap', timer, lapIndex)) return true;
+
+    recordUndoStep(timer, 'Delete lap');
+    if (lapIndex > 0) {
+        timer.laps[lapIndex - 1].recordedTime += lap.recordedTime;
+    } else {
+        // The next lap becomes the first: it now starts when the session did
+        addToLapStart(timer, 1, -lap.recordedTime);
+        timer.laps[1].createdAt = lap.createdAt;
+    }
+    timer.laps.splice(lapIndex, 1);
+    applyLapEdit(timer);
+    return true;
+}
+
+/**
+ * Split a recorded lap in two at an offset into the lap
+ * The first part keeps the lap's alarm target, segment and note; the second
+ * part is a plain lap without a target.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the recorded lap
+ * @param {number} offset - Split point in milliseconds from the lap's start
+ * @returns {boolean} Whether the lap was split (false if the offset is outside the lap)
+ */
+function splitLap(timer, lapIndex, offset) {
+    const lap = timer.laps[lapIndex];
+    if (!lap || !lap.isRecorded || offset <= 0 || offset >= lap.recordedTime) return false;
+    if (forwardToLeader('splitLap', timer, lapIndex, offset)) return true;
+
+    recordUndoStep(timer, 'Split lap');
+    const secondPart = deserializeLap({
+        createdAt: lap.createdAt + offset,
+        recordedTime: lap.recordedTime - offset,
+        alarmDuration: 0,
+        isRecorded: true,
+        stages: lap.stages,
+        sound: lap.sound
+    });
+    lap.recordedTime = offset;
+    timer.laps.splice(lapIndex + 1, 0, secondPart);
+    applyLapEdit(timer);
+    return true;
+}
+
+/**
+ * Move the boundary between a recorded lap and the next one by giving the
+ * lap a new time; the next lap gains or loses the difference
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the recorded lap
+ * @param {number} recordedTime - New lap time in milliseconds
+ * @returns {boolean} Whether the boundary moved (false if the time is out of range)
+ */
+function adjustLapBoundary(timer, lapIndex, recordedTime) {
+    const lap = timer.laps[lapIndex];
+    const nextLap = timer.laps[lapIndex + 1];
+    if (!lap || !lap.isRecorded || !nextLap || recordedTime <= 0) return false;
+
+    const change = recordedTime - lap.recordedTime;
+    if (change >= getLapElapsedTime(timer, lapIndex + 1)) return false;
+    if (forwardToLeader('adjustLapBoundary', timer, lapIndex, recordedTime)) return true;
+
+    recordUndoStep(timer, 'Move lap end');
+    lap.recordedTime = recordedTime;
+    addToLapStart(timer, lapIndex + 1, change);
+    applyLapEdit(timer);
+    return true;
+}
+
+/**
+ * Move the start of a lap later (positive) or earlier (negative), taking the
+ * time from its own length
+ * For the pending lap this shifts currentLapStartTime, and its alarm is
+ * rearmed if it now hasn't reached the stage it had already fired.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @param {number} change - Milliseconds to move the start by
+ */
+function addToLapStart(timer, lapIndex, change) {
+    const lap = timer.laps[lapIndex];
+    if (lap.isRecorded) {
+        lap.recordedTime -= change;
+        return;
+    }
+
+    timer.currentLapStartTime += change;
+    const reached = getAlarmStageAt(lap, getLapElapsedTime(timer, lapIndex));
+    if (ALARM_STAGE_ORDER.indexOf(reached.stage) < ALARM_STAGE_ORDER.indexOf(lap.alarmStage)) {
+        rearmLapAlarm(timer, lapIndex);
+    }
+}
+
+/**
+ * Bring everything in line after a lap edit: fire or reschedule the pending
+ * lap's alarm, redraw, and save
+ * @param {object} timer - Timer instance
+ */
+function applyLapEdit(timer) {
+    if (timer.isRunning) {
+        checkLapAlarms(timer);
+    }
+    scheduleNextAlarm();
+    renderLaps();
+    updateCurrentLapDisplay();
+    updateAlarmControls();
+    saveSessionToStorage(timer);
+}
+
+// ============================================
+// Undo / Redo
+// ============================================
+
+const UNDO_MAX_STEPS = 50;     // Oldest steps are dropped beyond this
+
+/**
+ * Remember a timer's session before an action changes it
+ * Called by the actions that can be undone: start/resume, pause, lap,
+ * lap alarm edits and reset. A new action clears the redo steps.
+ * @param {object} timer - Timer instance
+ * @param {string} label - Action name shown on the Undo button, e.g. 'Lap'
+ * @param {string|null} [id] - Step ID (generated when omitted)
+ * @returns {object} The undo step: { id, label, snapshot, archivedSessionId }
+ */
+function recordUndoStep(timer, label, id = null) {
+    const step = { id: id || generateId('undo'), label, snapshot: getSessionSnapshot(timer), archivedSessionId: null };
+    timer.undoStack.push(step);
+    if (timer.undoStack.length > UNDO_MAX_STEPS) {
+        timer.undoStack.shift();
+    }
+    timer.redoStack = [];
+    updateUndoControls();
+    return step;
+}
+
+/**
+ * Undo a timer's last action by going back to the session before it
+ * Undoing a Lap merges the new lap back into the previous one, which keeps
+ * running from its original start. Undoing a Reset also removes the session
+ * it archived from the history.
+ * @param {object} timer - Timer instance
+ * @param {string} [stepId] - Only undo if this is the last step (e.g. the
+ *                            reset an "Undo" toast was shown for)
+ * @returns {string|null} Label of the undone action, or null if there was nothing to undo
+ */
+function undoAction(timer, stepId = null) {
+    const step = timer.undoStack[timer.undoStack.length - 1];
+    if (!step) return null;
+    // Followers only mirror the labels, so the leader checks the step ID
+    if (forwardToLeader('undoAction', timer, stepId)) return step.label;
+    if (stepId !== null && step.id !== stepId) return null;
+
+    timer.undoStack.pop();
+    timer.redoStack.push({ label: step.label, snapshot: getSessionSnapshot(timer), isReset: step.archivedSessionId !== null });
+    if (step.archivedSessionId !== null) {
+        deleteHistorySession(step.archivedSessionId);
+    }
+    restoreUndoSnapshot(timer, step.snapshot);
+    return step.label;
+}
+
+/**
+ * Redo a timer's last undone action
+ * @param {object} timer - Timer instance
+ * @returns {string|null} Label of the redone action, or null if there was nothing to redo
+ */
+function redoAction(timer) {
+    const step = timer.redoStack[timer.redoStack.length - 1];
+    if (!step) return null;
+    if (forwardToLeader('redoAction', timer)) return step.label;
+
+    timer.redoStack.pop();
+    const undoStep = { id: generateId('undo'), label: step.label, snapshot: getSessionSnapshot(timer), archivedSessionId: null };
+    if (step.isReset) {
+        const archived = archiveSession(getLiveSessionRecord(timer));
+        undoStep.archivedSessionId = archived ? archived.id : null;
+    }
+    timer.undoStack.push(undoStep);
+    restoreUndoSnapshot(timer, step.snapshot);
+    return step.label;
+}
+
+/**
+ * Put an undo/redo snapshot back into a timer and bring everything that
+ * depends on the session (ticking, storage, UI) in line with it
+ * @param {object} timer - Timer instance
+ * @param {object} snapshot - Snapshot from getSessionSnapshot()
+ */
+function restoreUndoSnapshot(timer, snapshot) {
+    stopAlarmSound(timer.id);
+    const wasPaused = !timer.isRunning;
+    applySessionSnapshot(timer, snapshot);
+
+    // Undoing a Pause resumes from where the snapshot left off: the time
+    // spent paused since then isn't counted
+    if (wasPaused && timer.isRunning) {
+        const pausedFor = Math.max(0, getNow() - snapshot.savedAt);
+        timer.startTime += pausedFor;
+        timer.currentLapStartTime += pausedFor;
+    }
+
+    if (timer.laps.length > 0) {
+        saveSessionToStorage(timer);
+    } else {
+        clearSessionFromStorage(timer);
+    }
+    saveTimersToStorage();
+    updateTicking();
+    if (timer.isRunning) {
+        checkLapAlarms(timer);
+    }
+
+    if (isActiveTimer(timer)) {
+        closeReviewSession();
+        renderActiveTimer();
+    } else {
+        renderTimerTabs();
+    }
+    updateUndoControls();
+}
+
+// ============================================
+// Cross-Tab Sync & Leader Election
+// ============================================
+
+/**
+ * With the app open in several tabs, one tab is the leader: only it rings
+ * alarms, records undo steps and changes the running sessions. Leadership
+ * is a lease in local storage that the leader renews every second; when the
+ * leader closes (or stops renewing) another tab claims the lease.
+ * Every saved change is broadcast, so the other tabs (followers) mirror the
+ * sessions live. A follower forwards the session actions (start, pause, lap,
+ * reset, silence, snooze, undo/redo and lap edits) to the leader instead of
+ * running them itself. Messages go over a BroadcastChannel, or through
+ * storage events on browsers without one.
+ */
+const tabSync = {
+    tabId: generateId('tab'),
+    channel: null,          // BroadcastChannel; null when messages go through storage events
+    isLeader: true,         // A tab on its own leads; decided for real by checkLeadership()
+    heartbeatId: null,
+    applyingRemote: false   // Set while applying another tab's change, so it isn't broadcast back
+};
+
+const TAB_SYNC_CHANNEL_NAME = 'newspaper-timer-sync';
+const TAB_SYNC_MESSAGE_KEY = 'tabSyncMessage';   // Storage-event fallback transport
+const TAB_LEADER_KEY = 'tabLeader';               // Lease: { tabId, renewedAt }
+const TAB_LEADER_HEARTBEAT = 1000;
+const TAB_LEADER_TIMEOUT = 3000;                  // A lease not renewed for this long is up for grabs
+
+// Session actions a follower forwards to the leader (name → engine function)
+const TAB_SYNC_COMMANDS = {
+    startStopwatch,
+    pauseStopwatch,
+    createLap,
+    resetStopwatch,
+    silenceAlarm,
+    snoozeAlarm,
+    undoAction,
+    redoAction,
+    updateLapAlarmDuration,
+    updateLapAlarmSettings,
+    toggleLapAlarm,
+    setLapNote,
+    deleteLap,
+    splitLap,
+    adjustLapBoundary
+};
+
+/**
+ * Open the message channel, take part in the leader election and keep the
+ * lease renewed
+ * Call before the sessions are restored, so a follower doesn't fire alarms.
+ */
+function initTabSync() {
+    if (typeof BroadcastChannel === 'function') {
+        try {
+            tabSync.channel = new BroadcastChannel(TAB_SYNC_CHANNEL_NAME);
+            tabSync.channel.onmessage = (event) => handleTabSyncMessage(event.data);
+        } catch (error) {
+            console.warn('BroadcastChannel unavailable, syncing tabs through storage events:', error);
+            tabSync.channel = null;
+        }
+    }
+
+    checkLeadership();
+    tabSync.heartbeatId = setInterval(checkLeadership, TAB_LEADER_HEARTBEAT);
+}
+
+/**
+ * Read the leader lease from local storage
+ * @returns {object|null} { tabId, renewedAt }, or null if there is none
+ */
+function loadLeaderLease() {
+    try {
+        const lease = JSON.parse(localStorage.getItem(TAB_LEADER_KEY));
+        if (lease && typeof lease.tabId === 'string' && Number.isFinite(lease.renewedAt)) {
+            return lease;
+        }
+    } catch (error) {
+        console.warn('Error reading the tab leader lease:', error);
+    }
+    return null;
+}
+
+/**
+ * Renew this tab's lease, claim an expired one, or follow the tab holding it
+ * Runs every second and on every timing pass. If two tabs claim at once,
+ * the last write wins and the other steps down on its next check.
+ */
+function checkLeadership() {
+    const lease = loadLeaderLease();
+    // Tabs compare leases, so this uses the wall clock they share rather than getNow()
+    const now = Date.now();
+    const isFree = !lease || now - lease.renewedAt > TAB_LEADER_TIMEOUT;
+
+    if (isFree || lease.tabId === tabSync.tabId) {
+        try {
+            localStorage.setItem(TAB_LEADER_KEY, JSON.stringify({ tabId: tabSync.tabId, renewedAt: now }));
+        } catch (error) {
+            // Without storage there is nothing to share: lead on our own
+            console.warn('Error renewing the tab leader lease:', error);
+        }
+        if (!tabSync.isLeader) {
+            becomeLeader();
+        }
+    } else if (tabSync.isLeader) {
+        becomeFollower();
+    }
+}
+
+/**
+ * Whether this tab runs the timing (rings alarms, changes sessions)
+ * @returns {boolean}
+ */
+function isTabLeader() {
+    return tabSync.isLeader;
+}
+
+/**
+ * Take over the timing from a leader that closed
+ * The mirrored sessions are already up to date; alarms that came due in the
+ * handover fire now. Undo history stays with the old tab and is lost.
+ */
+function becomeLeader() {
+    tabSync.isLeader = true;
+    state.timers.forEach(timer => {
+        timer.undoStack = [];
+        timer.redoStack = [];
+    });
+    console.log('This tab now leads the timing');
+
+    if (state.timers.some(timer => timer.isRunning)) {
+        runTimingPass();
+    }
+    updateTicking();
+    updateUndoControls();
+    renderTabSyncStatus();
+}
+
+/**
+ * Hand the timing to the tab holding the lease: stop ringing and let its
+ * broadcasts drive this tab
+ */
+function becomeFollower() {
+    tabSync.isLeader = false;
+    stopAlarmSound();
+    scheduleNextAlarm();
+    console.log('Another tab leads the timing; mirroring it');
+    renderTabSyncStatus();
+}
+
+/**
+ * Give up the lease when the tab closes, so another tab takes over at once
+ */
+function releaseLeadership() {
+    if (!tabSync.isLeader) return;
+
+    const lease = loadLeaderLease();
+    if (lease && lease.tabId === tabSync.tabId) {
+        try {
+            localStorage.removeItem(TAB_LEADER_KEY);
+        } catch (error) {
+            console.warn('Error releasing the tab leader lease:', error);
+        }
+    }
+    postTabSyncMessage({ type: 'leader-left' });
+}
+
+/**
+ * Send a message to the other tabs
+ * @param {object} message - { type, ... } (must be serializable)
+ */
+function postTabSyncMessage(message) {
+    const envelope = { ...message, from: tabSync.tabId };
+    try {
+        if (tabSync.channel) {
+            tabSync.channel.postMessage(envelope);
+        } else {
+            // Storage events only fire when the value changes: add a nonce
+            localStorage.setItem(TAB_SYNC_MESSAGE_KEY, JSON.stringify({ ...envelope, nonce: generateId('msg') }));
+        }
+    } catch (error) {
+        console.warn('Error sending tab sync message:', error);
+    }
+}
+
+/**
+ * Tell the other tabs that a timer's session changed
+ * Followers also get the leader's undo/redo labels for their buttons.
+ * @param {object} timer - Timer instance
+ * @param {object|null} snapshot - Snapshot from getSessionSnapshot(), or null once cleared
+ */
+function broadcastSession(timer, snapshot) {
+    if (tabSync.applyingRemote) return;
+    postTabSyncMessage({
+        type: 'session',
+        timerId: timer.id,
+        snapshot,
+        undoLabels: timer.undoStack.map(step => step.label),
+        redoLabels: timer.redoStack.map(step => step.label)
+    });
+}
+
+/**
+ * Run a session action on the leader when this tab is a follower
+ * The action's own checks run here first; only the change is forwarded.
+ * @param {string} command - Key of TAB_SYNC_COMMANDS
+ * @param {object} timer - Timer instance
+ * @param {...*} args - Further (serializable) arguments of the action
+ * @returns {boolean} Whether the action was forwarded (the caller must then stop)
+ */
+function forwardToLeader(command, timer, ...args) {
+    if (tabSync.isLeader || tabSync.applyingRemote) return false;
+
+    // The leader may have gone quiet: take over rather than send into the void
+    checkLeadership();
+    if (tabSync.isLeader) return false;
+
+    postTabSyncMessage({ type: 'command', command, timerId: timer.id, args });
+    return true;
+}
+
+/**
+ * Move the timestamps of a snapshot from another tab onto this tab's clock
+ * Each tab anchors its monotonic clock when it loads, so two tabs disagree
+ * by however much the system clock was changed in between. A snapshot
+ * arrives as soon as it is taken (savedAt on the sender's clock), which
+ * gives the offset.
+ * @param {object} snapshot - Snapshot from getSessionSnapshot() in another tab
+ * @returns {object} Snapshot with startTime and currentLapStartTime on this tab's clock
+ */
+function toLocalClock(snapshot) {
+    if (!Number.isFinite(snapshot.savedAt)) return snapshot;
+
+    const offset = getNow() - snapshot.savedAt;
+    return {
+        ...snapshot,
+        startTime: snapshot.startTime === null ? null : snapshot.startTime + offset,
+        currentLapStartTime: snapshot.currentLapStartTime === null ? null : snapshot.currentLapStartTime + offset
+    };
+}
+
+/**
+ * Handle a message from another tab
+ * @param {object} message - Message from postTabSyncMessage()
+ */
+function handleTabSyncMessage(message) {
+    if (!message || message.from === tabSync.tabId) return;
+
+    switch (message.type) {
+        case 'session':
+            applyRemoteSession(message);
+            break;
+        case 'timers':
+            applyRemoteTimers(message.timers);
+            break;
+        case 'command':
+            if (tabSync.isLeader) {
+                runForwardedCommand(message);
+            }
+            break;
+        case 'leader-left':
+            checkLeadership();
+            break;
+        case 'announce':
+            if (typeof message.text === 'string') {
+                addLiveRegionMessage(message.text);
+            }
+            break;
+    }
+}
+
+/**
+ * Run a session action forwarded by a follower
+ * @param {object} message - { command, timerId, args }
+ */
+function runForwardedCommand(message) {
+    const action = TAB_SYNC_COMMANDS[message.command];
+    const timer = state.timers.find(candidate => candidate.id === message.timerId);
+    if (!action || !timer) return;
+
+    if (isActiveTimer(timer)) {
+        closeReviewSession();
+    }
+    action(timer, ...(Array.isArray(message.args) ? message.args : []));
+}
+
+/**
+ * Mirror another tab's change to a timer's session
+ * @param {object} message - { timerId, snapshot, undoLabels, redoLabels }
+ */
+function applyRemoteSession(message) {
+    const timer = state.timers.find(candidate => candidate.id === message.timerId);
+    if (!timer) return;
+
+    tabSync.applyingRemote = true;
+    try {
+        if (message.snapshot) {
+            applySessionSnapshot(timer, toLocalClock(message.snapshot));
+        } else {
+            timer.isRunning = false;
+            timer.startTime = null;
+            timer.pausedTime = 0;
+            timer.currentLapStartTime = null;
+            timer.laps = [];
+            timer.budgetFired = [];
+            timer.budgetPlanOver = false;
+        }
+
+        if (tabSync.isLeader) {
+            // A follower's change (e.g. removing a timer) may have ended the alarm
+            if (getActiveAlarmLap(timer) === null) {
+                stopAlarmSound(timer.id);
+            }
+        } else if (Array.isArray(message.undoLabels) && Array.isArray(message.redoLabels)) {
+            // Followers keep only the labels: their undo/redo goes to the leader
+            timer.undoStack = message.undoLabels.map(label => ({ label }));
+            timer.redoStack = message.redoLabels.map(label => ({ label }));
+        }
+
+        updateTicking();
+        if (isActiveTimer(timer)) {
+            renderActiveTimer();
+        } else {
+            renderTimerTabs();
+        }
+    } finally {
+        tabSync.applyingRemote = false;
+    }
+}
+
+/**
+ * Mirror another tab's list of timers: add, remove, rename and reorder
+ * This tab keeps its own focused timer when it still exists.
+ * @param {array} list - [{ id, name, color, profileId, schedule }] from saveTimersToStorage()
+ */
+function applyRemoteTimers(list) {
+    if (!Array.isArray(list) || list.length === 0) return;
+
+    tabSync.applyingRemote = true;
+    try {
+        const timers = list.map(entry => {
+            let timer = state.timers.find(candidate => candidate.id === entry.id);
+            if (!timer) {
+                timer = createTimer(entry);
+                restoreSession(timer, getSessionStorageKey(timer));
+            }
+            timer.name = entry.name;
+            timer.color = entry.color;
+            timer.schedule = normalizeScheduledStart(entry.schedule);
+            if (state.profiles.some(profile => profile.id === entry.profileId)) {
+                timer.profileId = entry.profileId;
+            }
+            return timer;
+        });
+
+        state.timers
+            .filter(timer => !timers.includes(timer))
+            .forEach(timer => stopAlarmSound(timer.id));
+        state.timers = timers;
+        if (!timers.some(timer => timer.id === state.activeTimerId)) {
+            state.activeTimerId = timers[0].id;
+        }
+
+        updateTicking();
+        renderActiveTimer();
+    } finally {
+        tabSync.applyingRemote = false;
+    }
+}
+
+/**
+ * Pick up profile and settings changes saved by another tab
+ * (storage events fire in every other tab of the same origin)
+ * @param {StorageEvent} event - Storage event
+ */
+function handleTabStorageEvent(event) {
+    if (event.key === TAB_SYNC_MESSAGE_KEY && event.newValue) {
+        try {
+            handleTabSyncMessage(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('Error reading tab sync message:', error);
+        }
+    } else if (event.key === TAB_LEADER_KEY && event.newValue === null) {
+        // The leader released its lease: claim it without waiting for it to expire
+        checkLeadership();
+    } else if (event.key === PROFILES_STORAGE_KEY) {
+        loadProfilesFromStorage();
+        renderProfileSection();
+    } else if (event.key === SETTINGS_STORAGE_KEY) {
+        loadSettingsFromStorage();
+        applyDisplayMode();
+        renderLaps();
+        updateStopwatchDisplay();
+    }
+}
+
+// ============================================
+// Public API & Events
+// ============================================
+
+/**
+ * Integrations use window.NewspaperTimer (defined below) rather than the
+ * internal functions: it starts, pauses, laps and resets timers, reads
+ * snapshots, switches profiles and lets other code subscribe to events.
+ * Events are emitted by the tab that runs the timing (the leader, see
+ * Cross-Tab Sync) and can also be forwarded to an embedding page with
+ * postMessage and to a webhook.
+ */
+const API_EVENT_TYPES = ['start', 'pause', 'lap', 'alarm', 'budget', 'schedule', 'reset', 'tick'];
+const API_MESSAGE_SOURCE = 'newspaper-timer';   // `source` field of bridged postMessage data
+
+// Subscribers per event type: { type: [handler] }
+const apiListeners = Object.fromEntries(API_EVENT_TYPES.map(type => [type, []]));
+
+/**
+ * Emit an event for a timer to the subscribers, the postMessage bridge and
+ * the webhook (ticks are not sent to the webhook)
+ * A failing subscriber is logged and doesn't stop the others.
+ * @param {object} timer - Timer instance
+ * @param {string} type - One of API_EVENT_TYPES
+ * @param {object} [extra] - Event-specific fields
+ */
+function emitTimerEvent(timer, type, extra = {}) {
+    const detail = {
+        type,
+        timerId: timer.id,
+        timerName: timer.name,
+        at: getNow(),
+        elapsed: getTimerElapsedTime(timer),
+        ...extra
+    };
+
+    apiListeners[type].forEach(handler => {
+        try {
+            handler(detail);
+        } catch (error) {
+            console.warn(`NewspaperTimer "${type}" listener failed:`, error);
+        }
+    });
+
+    postBridgeMessage(detail);
+    if (type !== 'tick') {
+        sendWebhook(detail);
+    }
+}
+
+/**
+ * Emit a tick for every running timer (once per heartbeat, about every second)
+ */
+function emitTickEvents() {
+    if (apiListeners.tick.length === 0 && !getBridgeOrigin()) return;
+
+    state.timers
+        .filter(timer => timer.isRunning)
+        .forEach(timer => emitTimerEvent(timer, 'tick', {
+            lapNumber: timer.laps.length,
+            lapElapsed: getCurrentLapElapsedTime(timer)
+        }));
+}
+
+/**
+ * Describe a lap for events and snapshots (same fields as the JSON export)
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ * @returns {object} Lap record
+ */
+function getApiLapRecord(timer, lapIndex) {
+    const lap = timer.laps[lapIndex];
+    return {
+        lapNumber: lapIndex + 1,
+        segment: lap.segment,
+        recordedTime: lap.isRecorded ? lap.recordedTime : null,
+        elapsed: getLapElapsedTime(timer, lapIndex),
+        alarmDuration: lap.alarmDuration,
+        alarmStage: lap.alarmStage,
+        triggered: lap.triggered,
+        autoRecorded: Boolean(lap.autoRecorded),
+        note: lap.note || ''
+    };
+}
+
+/**
+ * Get the origin that bridged events are posted to
+ * The bridge stays opt-in: a `?bridge=<origin>` URL parameter (for embedding
+ * in an iframe) only counts when it names the origin approved in Settings, or
+ * narrows an approved '*' down to one origin. It can never turn the bridge on
+ * or widen it to '*'.
+ * @returns {string} Target origin, '*' for any, or '' when the bridge is off
+ */
+function getBridgeOrigin() {
+    const fromUrl = new URLSearchParams(location.search).get('bridge');
+    const approved = fromUrl !== null && isOrigin(fromUrl)
+        && (fromUrl === settings.bridgeOrigin || settings.bridgeOrigin === '*');
+    return approved ? fromUrl : settings.bridgeOrigin;
+}
+
+/**
+ * Post an event to the page that embeds (or opened) this one
+ * @param {object} detail - Event detail from emitTimerEvent()
+ */
+function postBridgeMessage(detail) {
+    const origin = getBridgeOrigin();
+    const target = window.parent !== window ? window.parent : window.opener;
+    if (!origin || !target) return;
+
+    try {
+        target.postMessage({ source: API_MESSAGE_SOURCE, event: detail.type, detail }, origin);
+    } catch (error) {
+        console.warn('Error posting event to the embedding page:', error);
+    }
+}
+
+/**
+ * POST an event to the webhook URL from the settings
+ * Sent as text/plain so the browser doesn't need a CORS preflight; the body is JSON.
+ * Followers don't send, so each event reaches the webhook once.
+ * @param {object} detail - Event detail from emitTimerEvent()
+ */
+function sendWebhook(detail) {
+    if (!settings.webhookUrl || !isTabLeader() || typeof fetch !== 'function') return;
+
+    fetch(settings.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+        body: JSON.stringify({ source: API_MESSAGE_SOURCE, event: detail.type, detail }),
+        keepalive: true
+    }).catch(error => console.warn('Webhook request failed:', error));
+}
+
+/**
+ * Find the timer an API call is for
+ * @param {string} [timerId] - Timer ID; the focused timer when omitted
+ * @returns {object} Timer instance
+ * @throws {Error} If there is no timer with that ID
+ */
+function getApiTimer(timerId) {
+    if (timerId === undefined) return getActiveTimer();
+
+    const timer = state.timers.find(candidate => candidate.id === timerId);
+    if (!timer) {
+        throw new Error(`Unknown timer: ${timerId}`);
+    }
+    return timer;
+}
+
+/**
+ * Public scripting API, e.g. from the console or an embedding page:
+ *   NewspaperTimer.on('alarm', event => console.log(event.lapNumber, event.stage));
+ *   NewspaperTimer.start();
+ * Every action takes an optional timer ID and defaults to the focused timer.
+ */
+window.NewspaperTimer = Object.freeze({
+    version: 1,
+    events: API_EVENT_TYPES,
+
+    /**
+     * Start or resume a timer
+     * @param {string} [timerId] - Timer ID
+     */
+    start(timerId) {
+        startStopwatch(getApiTimer(timerId));
+    },
+
+    /**
+     * Pause a timer
+     * @param {string} [timerId] - Timer ID
+     */
+    pause(timerId) {
+        pauseStopwatch(getApiTimer(timerId));
+    },
+
+    /**
+     * Record a lap
+     * @param {string} [timerId] - Timer ID
+     */
+    lap(timerId) {
+        createLap(getApiTimer(timerId));
+    },
+
+    /**
+     * Reset a timer (its recorded laps are archived to the history)
+     * @param {string} [timerId] - Timer ID
+     */
+    reset(timerId) {
+        resetStopwatch(getApiTimer(timerId));
+    },
+
+    /**
+     * Read a timer's state
+     * @param {string} [timerId] - Timer ID
+     * @returns {object} { timerId, name, isRunning, isComplete, elapsed, profile: { id, name },
+     *                     budget ({ duration, remaining, projectedFinish } or null),
+     *                     schedule ({ time, daily, alertLead, nextAt, missedAt } or null),
+     *                     currentLap (lap record or null), laps (recorded lap records) }
+     */
+    getSnapshot(timerId) {
+        const timer = getApiTimer(timerId);
+        const profile = getTimerProfile(timer);
+        const budget = getSessionBudget(timer);
+        const lastIndex = timer.laps.length - 1;
+        const hasPendingLap = lastIndex >= 0 && !timer.laps[lastIndex].isRecorded;
+
+        return {
+            timerId: timer.id,
+            name: timer.name,
+            isRunning: timer.isRunning,
+            isComplete: isSessionComplete(timer),
+            elapsed: getTimerElapsedTime(timer),
+            profile: { id: profile.id, name: profile.name },
+            budget: budget
+                ? { duration: budget.duration, remaining: getBudgetRemaining(timer), projectedFinish: getProjectedFinish(timer) }
+                : null,
+            schedule: timer.schedule
+                ? {
+                    time: timer.schedule.time,
+                    daily: timer.schedule.daily,
+                    alertLead: timer.schedule.alertLead,
+                    nextAt: timer.schedule.nextAt,
+                    missedAt: timer.schedule.missedAt
+                }
+                : null,
+            currentLap: hasPendingLap ? getApiLapRecord(timer, lastIndex) : null,
+            laps: timer.laps
+                .map((lap, index) => lap.isRecorded ? getApiLapRecord(timer, index) : null)
+                .filter(Boolean)
+        };
+    },
+
+    /**
+     * Arm a timer to start by itself at a time of day
+     * @param {string} time - Local time of day, 'HH:MM'
+     * @param {object} [options] - { daily: re-arm every day (default false), alertLead: alert this many ms before (default none) }
+     * @param {string} [timerId] - Timer ID
+     * @returns {number} Wall-clock timestamp (as Date.now()) of the start
+     * @throws {Error} For an invalid time or alert
+     */
+    scheduleStart(time, options = {}, timerId) {
+        const timer = getApiTimer(timerId);
+        const alertLead = options.alertLead === undefined ? 0 : options.alertLead;
+        if (parseClockTime(time) === null) {
+            throw new Error(`Invalid start time: ${time} (expected HH:MM)`);
+        }
+        if (!Number.isFinite(alertLead) || alertLead < 0) {
+            throw new Error(`Invalid alertLead: ${alertLead}`);
+        }
+        return armScheduledStart(timer, { time: time.trim(), daily: options.daily === true, alertLead });
+    },
+
+    /**
+     * Disarm a timer's scheduled start
+     * @param {string} [timerId] - Timer ID
+     */
+    cancelSchedule(timerId) {
+        cancelScheduledStart(getApiTimer(timerId));
+    },
+
+    /**
+     * List the timers
+     * @returns {array} [{ timerId, name, isRunning }]
+     */
+    getTimers() {
+        return state.timers.map(timer => ({ timerId: timer.id, name: timer.name, isRunning: timer.isRunning }));
+    },
+
+    /**
+     * Switch a timer's alarm profile (only between sessions, as in the UI)
+     * @param {string} profile - Profile ID or name
+     * @param {string} [timerId] - Timer ID
+     * @returns {boolean} Whether the profile was applied
+     * @throws {Error} If there is no such profile
+     */
+    setProfile(profile, timerId) {
+        const timer = getApiTimer(timerId);
+        const match = state.profiles.find(candidate => candidate.id === profile)
+            || state.profiles.find(candidate => candidate.name === profile);
+        if (!match) {
+            throw new Error(`Unknown profile: ${profile}`);
+        }
+        if (isSessionInProgress(timer)) return false;
+
+        setTimerProfile(timer, match.id);
+        return true;
+    },
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - One of NewspaperTimer.events
+     * @param {function} handler - Called with the event detail
+     * @returns {function} Call it to unsubscribe
+     * @throws {Error} For an unknown event type
+     */
+    on(type, handler) {
+        if (!apiListeners[type]) {
+            throw new Error(`Unknown event: ${type} (expected one of ${API_EVENT_TYPES.join(', ')})`);
+        }
+        apiListeners[type].push(handler);
+        return () => removeApiListener(type, handler);
+    },
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} type - Event type
+     * @param {function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        removeApiListener(type, handler);
+    }
+});
+
+/**
+ * Remove an event subscriber (unknown types and handlers are ignored)
+ * @param {string} type - Event type
+ * @param {function} handler - Subscribed handler
+ */
+function removeApiListener(type, handler) {
+    if (!apiListeners[type]) return;
+    const index = apiListeners[type].indexOf(handler);
+    if (index !== -1) {
+        apiListeners[type].splice(index, 1);
+    }
+}
+
+// ============================================
+// Alarm Profiles
+// ============================================
+
+const PROFILES_STORAGE_KEY = 'alarmProfiles';
+const PROFILES_SCHEMA_VERSION = 1;
+
+/**
+ * Get the profile a timer uses for new laps
+ * @param {object} timer - Timer instance
+ * @returns {object} The timer's profile (falls back to the first profile)
+ */
+function getTimerProfile(timer) {
+    return state.profiles.find(profile => profile.id === timer.profileId) || state.profiles[0] || DEFAULT_PROFILE;
+}
+
+/**
+ * Get a profile's alarm duration for a given lap, applying its rule
+ * past the end of the duration list
+ * @param {object} profile - Alarm profile
+ * @param {number} lapIndex - Lap index (0-based)
+ * @returns {number|null} Duration in milliseconds, or null for no alarm
+ */
+function getProfileAlarmDuration(profile, lapIndex) {
+    const durations = profile.durations;
+    if (durations.length === 0) return null;
+
+    if (lapIndex < durations.length) {
+        return durations[lapIndex];
+    }
+
+    switch (profile.rule) {
+        case 'cycle':
+            return durations[lapIndex % durations.length];
+        case 'none':
+            return null;
+        default:
+            return durations[durations.length - 1];
+    }
+}
+
+/**
+ * Check whether a timer has a session in progress (running or paused with laps)
+ * Its profile cannot be switched or edited while it has
+ * @param {object} timer - Timer instance
+ * @returns {boolean}
+ */
+function isSessionInProgress(timer) {
+    return timer.laps.length > 0;
+}
+
+/**
+ * Save all profiles and the default profile for new timers to local storage
+ */
+function saveProfilesToStorage() {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({
+            version: PROFILES_SCHEMA_VERSION,
+            activeProfileId: state.defaultProfileId,
+            profiles: state.profiles
+        }));
+    } catch (error) {
+        console.warn('Error saving profiles to storage:', error);
+    }
+}
+
+/**
+ * Load profiles from local storage into state
+ * Falls back to the built-in default profile if none are saved
+ */
+function loadProfilesFromStorage() {
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    } catch (error) {
+        console.warn('Error loading profiles from storage:', error);
+    }
+
+    const profiles = stored && stored.version === PROFILES_SCHEMA_VERSION && Array.isArray(stored.profiles)
+        ? stored.profiles.filter(isValidProfile)
+        : [];
+
+    // Profiles saved before alarm stages / sounds / run sheets existed get the defaults
+    profiles.forEach(profile => {
+        profile.stages = normalizeAlarmStages(profile.stages);
+        profile.sound = SOUND_LIBRARY[profile.sound] ? profile.sound : '';
+        profile.segments = Array.isArray(profile.segments) && profile.segments.length === profile.durations.length
+            ? profile.segments.map(String)
+            : [];
+        profile.autoAdvance = profile.autoAdvance === true;
+        profile.rounds = Number.isInteger(profile.rounds) && profile.rounds > 0 ? profile.rounds : 0;
+        profile.budget = normalizeSessionBudget(profile.budget);
+    });
+
+    state.profiles = profiles.length > 0
+        ? profiles
+        : [{
+            ...DEFAULT_PROFILE,
+            durations: [...DEFAULT_PROFILE.durations],
+            segments: [...DEFAULT_PROFILE.segments],
+            stages: { ...DEFAULT_PROFILE.stages },
+            budget: normalizeSessionBudget(DEFAULT_PROFILE.budget)
+        }];
+    state.defaultProfileId = stored && state.profiles.some(profile => profile.id === stored.activeProfileId)
+        ? stored.activeProfileId
+        : state.profiles[0].id;
+}
+
+/**
+ * Check that a stored profile has the expected shape
+ * @param {object} profile - Profile candidate
+ * @returns {boolean}
+ */
+function isValidProfile(profile) {
+    return Boolean(profile)
+        && typeof profile.id === 'string'
+        && typeof profile.name === 'string'
+        && Array.isArray(profile.durations)
+        && profile.durations.every(duration => Number.isFinite(duration) && duration > 0)
+        && Object.prototype.hasOwnProperty.call(PROFILE_RULES, profile.rule);
+}
+
+/**
+ * Switch a timer's profile (ignored while it has a session in progress)
+ * The profile also becomes the default for new timers.
+ * @param {object} timer - Timer instance
+ * @param {string} profileId - Profile ID
+ */
+function setTimerProfile(timer, profileId) {
+    if (isSessionInProgress(timer)) return;
+    if (!state.profiles.some(profile => profile.id === profileId)) return;
+
+    timer.profileId = profileId;
+    state.defaultProfileId = profileId;
+    saveProfilesToStorage();
+    saveTimersToStorage();
+    renderProfileSection();
+}
+
+/**
+ * Check whether any timer's session in progress uses a profile
+ * Such a profile cannot be deleted
+ * @param {string} profileId - Profile ID
+ * @returns {boolean}
+ */
+function isProfileInUse(profileId) {
+    return state.timers.some(timer => timer.profileId === profileId && isSessionInProgress(timer));
+}
+
+/**
+ * Create a new profile or update an existing one
+ * @param {object} data - { id?, name, durations, segments?, rule, autoAdvance?, rounds?, stages, sound }
+ * @returns {object} The saved profile
+ */
+function saveProfile(data) {
+    let profile = state.profiles.find(existing => existing.id === data.id);
+    if (profile) {
+        profile.name = data.name;
+        profile.durations = data.durations;
+        profile.segments = data.segments || [];
+        profile.rule = data.rule;
+        profile.autoAdvance = Boolean(data.autoAdvance);
+        profile.rounds = data.rounds || 0;
+        profile.stages = normalizeAlarmStages(data.stages);
+        profile.sound = data.sound || '';
+        profile.budget = normalizeSessionBudget(data.budget);
+    } else {
+        profile = {
+            id: generateId('profile'),
+            name: data.name,
+            durations: data.durations,
+            segments: data.segments || [],
+            rule: data.rule,
+            autoAdvance: Boolean(data.autoAdvance),
+            rounds: data.rounds || 0,
+            stages: normalizeAlarmStages(data.stages),
+            sound: data.sound || '',
+            budget: normalizeSessionBudget(data.budget)
+        };
+        state.profiles.push(profile);
+    }
+
+    saveProfilesToStorage();
+    return profile;
+}
+
+/**
+ * Delete a profile (the last remaining profile, and profiles in use by a
+ * session in progress, cannot be deleted)
+ * Idle timers that used it switch to the first profile.
+ * @param {string} profileId - Profile ID
+ */
+function deleteProfile(profileId) {
+    if (state.profiles.length <= 1 || isProfileInUse(profileId)) return;
+
+    state.profiles = state.profiles.filter(profile => profile.id !== profileId);
+    if (state.defaultProfileId === profileId) {
+        state.defaultProfileId = state.profiles[0].id;
+    }
+    state.timers.forEach(timer => {
+        if (timer.profileId === profileId) {
+            timer.profileId = state.profiles[0].id;
+        }
+    });
+    saveProfilesToStorage();
+    saveTimersToStorage();
+    renderProfileSection();
+}
+
+// ============================================
+// Run Sheet (named segments)
+// ============================================
+
+/**
+ * Check whether a profile is a run sheet: each duration is a named segment
+ * of a fixed running order
+ * @param {object} profile - Alarm profile
+ * @returns {boolean}
+ */
+function isRunSheet(profile) {
+    return profile.segments.length > 0;
+}
+
+/**
+ * Get the run-sheet segment name for a lap, following the profile's rule
+ * past the end of the list: 'cycle' starts the running order again, other
+ * rules leave extra laps unnamed
+ * @param {object} profile - Alarm profile
+ * @param {number} lapIndex - Lap index (0-based)
+ * @returns {string|null} Segment name, or null for a plain lap
+ */
+function getProfileSegmentName(profile, lapIndex) {
+    const segments = profile.segments;
+    if (segments.length === 0) return null;
+
+    if (lapIndex < segments.length) {
+        return segments[lapIndex];
+    }
+    return profile.rule === 'cycle' ? segments[lapIndex % segments.length] : null;
+}
+
+/**
+ * Get the segment the next Lap press (or Start, before the first lap) moves to
+ * @param {object} timer - Timer instance
+ * @returns {string|null} Segment name, or null once the run sheet is used up
+ */
+function getUpcomingSegment(timer) {
+    return getProfileSegmentName(getTimerProfile(timer), timer.laps.length);
+}
+
+/**
+ * Work out how far a timer's session is ahead of (negative) or behind
+ * (positive) its run sheet
+ * Recorded segments count their full variance against the target. The
+ * segment in progress only counts once it runs past its target, since
+ * finishing early isn't known until the lap is recorded.
+ * @param {object} timer - Timer instance
+ * @returns {number|null} Cumulative delta in milliseconds, or null if no lap belongs to a segment
+ */
+function getScheduleDelta(timer) {
+    let delta = null;
+
+    timer.laps.forEach((lap, index) => {
+        if (lap.segment === null || lap.alarmDuration <= 0) return;
+
+        const overrun = getLapElapsedTime(timer, index) - lap.alarmDuration;
+        delta = (delta || 0) + (lap.isRecorded ? overrun : Math.max(0, overrun));
+    });
+    return delta;
+}
+
+// ============================================
+// Session Budget
+// ============================================
+
+/**
+ * A profile can give the whole session a time budget (see
+ * DEFAULT_SESSION_BUDGET). Warnings ring as the budget runs low and when it
+ * runs out, and the finish of the profile's planned laps is projected so the
+ * team hears early when the plan can no longer fit. Like lap alarms, only
+ * the leader tab rings; the rung warnings are saved with the session.
+ */
+
+/**
+ * Fill in the missing or invalid parts of a stored session budget
+ * Warnings are kept from most to least time left, without duplicates.
+ * @param {object} [budget] - Stored budget
+ * @returns {object} { duration, warnings, sound }
+ */
+function normalizeSessionBudget(budget) {
+    const isDuration = value => Number.isFinite(value) && value > 0;
+    const warnings = budget && Array.isArray(budget.warnings)
+        ? [...new Set(budget.warnings.filter(isDuration))].sort((a, b) => b - a)
+        : [...DEFAULT_SESSION_BUDGET.warnings];
+
+    return {
+        duration: budget && isDuration(budget.duration) ? budget.duration : 0,
+        warnings,
+        sound: budget && SOUND_LIBRARY[budget.sound] ? budget.sound : ''
+    };
+}
+
+/**
+ * Get the budget of a timer's profile
+ * @param {object} timer - Timer instance
+ * @returns {object|null} { duration, warnings, sound }, or null without a budget
+ */
+function getSessionBudget(timer) {
+    const budget = getTimerProfile(timer).budget;
+    return budget && budget.duration > 0 ? budget : null;
+}
+
+/**
+ * Get how many laps a profile plans for a session
+ * That is the number of rounds of an auto-advance profile with a limit,
+ * otherwise the length of its duration list (or run sheet).
+ * @param {object} profile - Alarm profile
+ * @returns {number}
+ */
+function getPlannedLapCount(profile) {
+    return profile.autoAdvance && profile.rounds > 0 ? profile.rounds : profile.durations.length;
+}
+
+/**
+ * Project the session's total time once the planned laps are done
+ * The pending lap is assumed to end on its alarm target (or now, once it is
+ * over), and each planned lap still to come to take its profile duration.
+ * @param {object} timer - Timer instance
+ * @returns {number} Projected total elapsed time in milliseconds
+ */
+function getProjectedFinish(timer) {
+    const profile = getTimerProfile(timer);
+    const lapIndex = timer.laps.length - 1;
+    const lap = timer.laps[lapIndex];
+    let projected = getTimerElapsedTime(timer);
+
+    if (lap && !lap.isRecorded && lap.alarmDuration > 0) {
+        projected += Math.max(0, lap.alarmDuration - getLapElapsedTime(timer, lapIndex));
+    }
+    for (let index = timer.laps.length; index < getPlannedLapCount(profile); index++) {
+        projected += getProfileAlarmDuration(profile, index) || 0;
+    }
+    return projected;
+}
+
+/**
+ * Get how much of a timer's budget is left
+ * @param {object} timer - Timer instance
+ * @returns {number|null} Milliseconds left (negative once over), or null without a budget
+ */
+function getBudgetRemaining(timer) {
+    const budget = getSessionBudget(timer);
+    return budget ? budget.duration - getTimerElapsedTime(timer) : null;
+}
+
+/**
+ * Work out when a timer's next budget warning (or the end of its budget) is due
+ * @param {object} timer - Timer instance
+ * @returns {number|null} Timestamp (getNow() clock), or null if nothing more will ring
+ */
+function getNextBudgetDeadline(timer) {
+    const budget = getSessionBudget(timer);
+    if (!budget || !timer.isRunning || timer.startTime === null) return null;
+
+    const pending = [...budget.warnings, 0].filter(threshold => !timer.budgetFired.includes(threshold));
+    if (pending.length === 0) return null;
+    return timer.startTime + budget.duration - Math.max(...pending);
+}
+
+/**
+ * Ring any budget warning that is due, and warn once when the projected
+ * finish first goes over the budget
+ * Runs on every timing pass next to checkLapAlarms().
+ * @param {object} timer - Timer instance
+ */
+function checkSessionBudget(timer) {
+    const budget = getSessionBudget(timer);
+    if (!isTabLeader() || !budget || !timer.isRunning) return;
+
+    const remaining = budget.duration - getTimerElapsedTime(timer);
+    const projected = getProjectedFinish(timer);
+    let stage = null;
+
+    // Several warnings can come due at once (e.g. after a reload); ring the latest
+    const due = [...budget.warnings, 0]
+        .filter(threshold => remaining <= threshold && !timer.budgetFired.includes(threshold));
+    if (due.length > 0) {
+        timer.budgetFired.push(...due);
+        stage = due.includes(0) ? 'exhausted' : 'warning';
+    }
+
+    const isPlanOver = remaining > 0 && projected > budget.duration;
+    const planChanged = isPlanOver !== timer.budgetPlanOver;
+    timer.budgetPlanOver = isPlanOver;
+
+    if (due.length === 0 && !planChanged) return;
+    saveSessionToStorage(timer);
+
+    // The plan going over is its own alert, even when a warning rings in the same pass
+    if (stage !== null) {
+        fireBudgetAlert(timer, stage, remaining, projected);
+    }
+    if (planChanged && isPlanOver) {
+        fireBudgetAlert(timer, 'plan-over', remaining, projected);
+    }
+}
+
+/**
+ * Ring, show, announce and emit one budget alert
+ * @param {object} timer - Timer instance
+ * @param {string} stage - 'warning', 'exhausted' or 'plan-over'
+ * @param {number} remaining - Budget left (ms)
+ * @param {number} projected - Projected total time (ms)
+ */
+function fireBudgetAlert(timer, stage, remaining, projected) {
+    const budget = getSessionBudget(timer);
+    playAlarmSound({
+        volume: stage === 'exhausted' ? ALARM_STAGE_VOLUMES.due : ALARM_STAGE_VOLUMES.warning,
+        sound: budget.sound || null,
+        owner: `budget:${timer.id}`
+    });
+    showToast(withTimerName(timer.name, getBudgetAlertText(stage, remaining, projected - budget.duration)), {
+        type: stage === 'warning' ? 'info' : 'error',
+        duration: stage === 'warning' ? 4000 : 8000
+    });
+    emitTimerEvent(timer, 'budget', {
+        stage,
+        budget: budget.duration,
+        remaining,
+        projectedFinish: projected
+    });
+}
+
+/**
+ * Describe a budget alert for its toast
+ * @param {string} stage - 'warning', 'exhausted' or 'plan-over'
+ * @param {number} remaining - Budget left (ms)
+ * @param {number} projectedOver - How far the projected finish is over the budget (ms)
+ * @returns {string}
+ */
+function getBudgetAlertText(stage, remaining, projectedOver) {
+    switch (stage) {
+        case 'exhausted':
+            return 'Session budget used up';
+        case 'plan-over':
+            return `The planned laps no longer fit the budget: projected ${formatTime(projectedOver)} over`;
+        default:
+            return `${formatDurationLabel(remaining)} of the session budget left`;
+    }
+}
+
+// ============================================
+// Scheduled Start
+// ============================================
+
+/**
+ * A timer can be armed to start by itself at a time of day, once or every
+ * day, with an optional alert shortly before. Unlike the stopwatch, the
+ * schedule follows the wall clock (Date.now()): "09:00" means the clock
+ * on the wall, even after the system clock is corrected. The schedule is
+ * saved with the timer list, so it survives reloads and reaches every tab;
+ * only the leader tab starts timers and rings the alert.
+ * A start that passed while the app was closed (or the computer asleep) is
+ * not made up silently: it is kept as missed until the user starts late,
+ * starts backdated to the scheduled time, or dismisses it.
+ */
+const SCHEDULE_MISSED_GRACE = 30 * 1000;   // Later than this, a scheduled start counts as missed
+
+/**
+ * Fill in the missing or invalid parts of a stored schedule
+ * Schedule structure:
+ * - time: time of day 'HH:MM' (local time)
+ * - daily: whether it re-arms for the next day after each start
+ * - alertLead: ring an alert this long before the start (ms, 0 = none)
+ * - nextAt: wall-clock timestamp of the armed start, or null
+ * - alerted: whether the alert for nextAt has rung
+ * - missedAt: wall-clock timestamp of a missed start awaiting a decision, or null
+ * @param {object} [schedule] - Stored schedule
+ * @returns {object|null} Schedule, or null when nothing is armed or missed
+ */
+function normalizeScheduledStart(schedule) {
+    if (!schedule || parseClockTime(schedule.time) === null) return null;
+
+    const isTimestamp = value => Number.isFinite(value) && value > 0;
+    const normalized = {
+        time: schedule.time,
+        daily: schedule.daily === true,
+        alertLead: Number.isFinite(schedule.alertLead) && schedule.alertLead > 0 ? schedule.alertLead : 0,
+        nextAt: isTimestamp(schedule.nextAt) ? schedule.nextAt : null,
+        alerted: schedule.alerted === true,
+        missedAt: isTimestamp(schedule.missedAt) ? schedule.missedAt : null
+    };
+    return normalized.nextAt !== null || normalized.missedAt !== null ? normalized : null;
+}
+
+/**
+ * Parse a time of day as given by <input type="time">
+ * @param {string} text - 'HH:MM' (seconds, if given, are not allowed)
+ * @returns {object|null} { hours, minutes }, or null if invalid
+ */
+function parseClockTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(typeof text === 'string' ? text.trim() : '');
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+/**
+ * Find the first time a time of day comes round after a moment
+ * Uses local dates, so a daily start stays at the same clock time across
+ * daylight saving changes.
+ * @param {string} time - 'HH:MM'
+ * @param {number} after - Wall-clock timestamp
+ * @returns {number} Wall-clock timestamp
+ */
+function getNextClockOccurrence(time, after) {
+    const { hours, minutes } = parseClockTime(time);
+    const date = new Date(after);
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= after) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(hours, minutes, 0, 0);
+    }
+    return date.getTime();
+}
+
+/**
+ * Check whether a timer has a start armed
+ * @param {object} timer - Timer instance
+ * @returns {boolean}
+ */
+function isStartScheduled(timer) {
+    return Boolean(timer.schedule && timer.schedule.nextAt !== null);
+}
+
+/**
+ * Arm a timer to start at the next occurrence of a time of day
+ * Replaces any earlier schedule of the timer, including a missed start.
+ * @param {object} timer - Timer instance
+ * @param {object} options - { time: 'HH:MM', daily: boolean, alertLead: ms }
+ * @returns {number} Wall-clock timestamp of the start
+ */
+function armScheduledStart(timer, options) {
+    timer.schedule = {
+        time: options.time,
+        daily: Boolean(options.daily),
+        alertLead: options.alertLead > 0 ? options.alertLead : 0,
+        nextAt: getNextClockOccurrence(options.time, Date.now()),
+        alerted: false,
+        missedAt: null
+    };
+    saveScheduledStart(timer);
+    return timer.schedule.nextAt;
+}
+
+/**
+ * Disarm a timer's scheduled start (a missed start stays until it is settled)
+ * @param {object} timer - Timer instance
+ */
+function cancelScheduledStart(timer) {
+    if (!isStartScheduled(timer)) return;
+
+    timer.schedule.nextAt = null;
+    timer.schedule.alerted = false;
+    stopAlarmSound(`schedule:${timer.id}`);
+    saveScheduledStart(timer);
+}
+
+/**
+ * Forget a timer's missed start (once it is started or dismissed)
+ * @param {object} timer - Timer instance
+ */
+function clearMissedStart(timer) {
+    if (!timer.schedule || timer.schedule.missedAt === null) return;
+
+    timer.schedule.missedAt = null;
+    saveScheduledStart(timer);
+}
+
+/**
+ * Save a timer's changed schedule, dropping it once nothing is left armed
+ * or missed, and update the timing and display
+ * @param {object} timer - Timer instance
+ */
+function saveScheduledStart(timer) {
+    timer.schedule = normalizeScheduledStart(timer.schedule);
+    saveTimersToStorage();
+    updateTicking();
+    if (isActiveTimer(timer)) {
+        updateScheduleDisplay(timer);
+    }
+}
+
+/**
+ * Work out when a timer's schedule next needs attention: its alert, or
+ * the start itself
+ * @param {object} timer - Timer instance
+ * @returns {number|null} Timestamp (getNow() clock), or null if nothing is armed
+ */
+function getNextScheduleDeadline(timer) {
+    if (!isStartScheduled(timer)) return null;
+
+    const schedule = timer.schedule;
+    const deadline = schedule.alertLead > 0 && !schedule.alerted
+        ? schedule.nextAt - schedule.alertLead
+        : schedule.nextAt;
+    return getNow() + deadline - Date.now();
+}
+
+/**
+ * Ring a timer's pre-start alert, or start it when its scheduled time comes
+ * Runs on every timing pass. A start is skipped when the timer already has
+ * a session, and kept as missed when it is found more than
+ * SCHEDULE_MISSED_GRACE late; a daily schedule re-arms for the next day
+ * either way.
+ * @param {object} timer - Timer instance
+ */
+function checkScheduledStart(timer) {
+    if (!isTabLeader() || !isStartScheduled(timer)) return;
+
+    const schedule = timer.schedule;
+    const now = Date.now();
+    if (now < schedule.nextAt) {
+        if (schedule.alertLead > 0 && !schedule.alerted && now >= schedule.nextAt - schedule.alertLead) {
+            ringScheduleAlert(timer, schedule.nextAt - now);
+        }
+        return;
+    }
+
+    // After days away a daily schedule only owes its latest start
+    let scheduledAt = schedule.nextAt;
+    let nextAt = schedule.daily ? getNextClockOccurrence(schedule.time, scheduledAt) : null;
+    while (nextAt !== null && nextAt <= now) {
+        scheduledAt = nextAt;
+        nextAt = getNextClockOccurrence(schedule.time, nextAt);
+    }
+    schedule.nextAt = nextAt;
+    schedule.alerted = false;
+
+    let stage;
+    if (isSessionInProgress(timer)) {
+        stage = 'skipped';
+    } else if (now - scheduledAt > SCHEDULE_MISSED_GRACE) {
+        stage = 'missed';
+        schedule.missedAt = scheduledAt;
+    } else {
+        stage = 'started';
+    }
+    saveScheduledStart(timer);
+
+    if (stage === 'started') {
+        // Count from the scheduled moment, not from whenever this pass ran
+        startStopwatch(timer, scheduledAt);
+    } else {
+        const clockTime = CLOCK_TIME_FORMAT.format(scheduledAt);
+        showToast(withTimerName(timer.name, stage === 'missed'
+            ? `The scheduled start at ${clockTime} was missed`
+            : `Scheduled start at ${clockTime} skipped: a session is in progress`), {
+            type: 'error',
+            duration: 8000
+        });
+    }
+    emitTimerEvent(timer, 'schedule', {
+        stage,
+        scheduledAt,
+        nextAt: timer.schedule ? timer.schedule.nextAt : null
+    });
+}
+
+/**
+ * Ring the alert before a scheduled start
+ * @param {object} timer - Timer instance
+ * @param {number} startsIn - Time to the start (ms)
+ */
+function ringScheduleAlert(timer, startsIn) {
+    timer.schedule.alerted = true;
+    saveTimersToStorage();
+
+    playAlarmSound({ volume: ALARM_STAGE_VOLUMES.warning, owner: `schedule:${timer.id}` });
+    showToast(withTimerName(timer.name, `Starts in ${formatDurationLabel(startsIn)}`), { duration: 6000 });
+    emitTimerEvent(timer, 'schedule', {
+        stage: 'alert',
+        scheduledAt: timer.schedule.nextAt,
+        startsIn
+    });
+}
+
+/**
+ * Start a timer whose scheduled start was missed
+ * @param {object} timer - Timer instance
+ * @param {boolean} backdated - Count from the scheduled time rather than from now
+ */
+function startMissedSchedule(timer, backdated) {
+    if (!timer.schedule || timer.schedule.missedAt === null) return;
+
+    startStopwatch(timer, backdated ? timer.schedule.missedAt : null);
+}
+
+/**
+ * Parse the schedule editor's inputs
+ * @param {string} timeText - Time of day from <input type="time">
+ * @param {string} alertText - Alert lead time ('' = no alert)
+ * @returns {object|string} { time, alertLead }, or an error message
+ */
+function parseScheduleInputs(timeText, alertText) {
+    if (parseClockTime(timeText) === null) {
+        return 'Start time: enter a time of day such as 09:00';
+    }
+
+    const alertLead = alertText.trim() === '' ? 0 : parseTimeString(alertText);
+    if (alertLead === null) {
+        return `Alert: "${alertText}" is not a valid duration`;
+    }
+    if (alertLead >= 24 * 60 * 60 * 1000) {
+        return 'Alert: must be less than a day before the start';
+    }
+    return { time: timeText.trim(), alertLead };
+}
+
+// ============================================
+// UI: Export, Import & Review Mode
+// ============================================
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv', build: exportLapsAsCSV },
+    json: { extension: 'json', mimeType: 'application/json', build: exportLapsAsJSON },
+    markdown: { extension: 'md', mimeType: 'text/markdown', build: exportLapsAsMarkdown }
+};
+
+/**
+ * Download a session in the given format
+ * @param {string} formatKey - Key of EXPORT_FORMATS
+ * @param {object} [session] - Session to export; defaults to the current (or reviewed) one
+ */
+function exportSession(formatKey, session = getExportSession()) {
+    const format = EXPORT_FORMATS[formatKey];
+    if (!format) return;
+
+    if (session.laps.length === 0) {
+        showToast('Nothing to export yet: record at least one lap first');
+        return;
+    }
+
+    const date = new Date(session.startedAt || getNow());
+    const stamp = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+        + `-${String(date.getHours()).padStart(2, '0')}${String(date.getMinutes()).padStart(2, '0')}`;
+
+    downloadFile(`laps-${stamp}.${format.extension}`, format.build(session), format.mimeType);
+}
+
+/**
+ * Trigger a browser download of generated text
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Read a JSON export and open it in review mode
+ * @param {File} file - Selected file
+ */
+function importSessionFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const session = parseSessionImport(reader.result);
+            openReviewSession(session, `Imported: ${file.name}`);
+            showToast(`Imported ${session.laps.length} laps from ${file.name}`);
+        } catch (error) {
+            console.warn('Error importing session:', error);
+            showToast(`Import failed: ${error.message}`, { type: 'error' });
+        }
+    };
+    reader.onerror = () => {
+        showToast('Import failed: the file could not be read', { type: 'error' });
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Show a session read-only in the lap list
+ * The live stopwatch keeps running underneath and is shown again on close.
+ * @param {object} session - Session in the getExportSession() shape
+ * @param {string} title - Banner title
+ */
+function openReviewSession(session, title) {
+    state.reviewSession = { ...session, title };
+    renderLaps();
+}
+
+/**
+ * Leave review mode and show the live session again
+ */
+function closeReviewSession() {
+    if (!state.reviewSession) return;
+
+    state.reviewSession = null;
+    elements.reviewBanner.hidden = true;
+    renderLaps();
+}
+
+/**
+ * Render the reviewed session's laps (read-only) and its banner
+ */
+function renderReviewSession() {
+    const session = state.reviewSession;
+    const totalTime = session.laps.reduce((total, lap) => total + lap.recordedTime, 0);
+
+    elements.reviewTitle.textContent = `${session.title} - ${session.profile.name}, `
+        + `${session.laps.length} laps, total ${formatTime(totalTime)}`;
+    elements.reviewBanner.hidden = false;
+
+    elements.lapsContainer.innerHTML = session.laps
+        .map((lap, index) => createLapElement({ ...lap, isRecorded: true, enabled: false }, index, { readOnly: true }))
+        .join('');
+}
+
+// ============================================
+// UI: Panels
+// ============================================
+
+/**
+ * Open a modal panel (history, settings, ...)
+ * @param {HTMLElement} panel - Panel overlay element
+ */
+function openPanel(panel) {
+    panel.hidden = false;
+    const focusTarget = panel.querySelector('.panel-close');
+    if (focusTarget) {
+        focusTarget.focus();
+    }
+}
+
+/**
+ * Close a modal panel
+ * @param {HTMLElement} panel - Panel overlay element
+ */
+function closePanel(panel) {
+    panel.hidden = true;
+}
+
+/**
+ * Get the panel that is currently open, if any
+ * @returns {HTMLElement|null}
+ */
+function getOpenPanel() {
+    return document.querySelector('.panel-overlay:not([hidden])');
+}
+
+// ============================================
+// UI: History Panel
+// ============================================
+
+/**
+ * Render the list of archived sessions in the history panel
+ */
+function renderHistoryPanel() {
+    const sessions = loadHistoryFromStorage();
+
+    elements.historySummary.textContent = sessions.length > 0
+        ? `${sessions.length} archived session${sessions.length === 1 ? '' : 's'} (the ${HISTORY_MAX_SESSIONS} most recent are kept)`
+        : '';
+
+    if (sessions.length === 0) {
+        elements.historyList.innerHTML = '<p class="empty-state">No archived sessions yet. Sessions are archived here when you press Reset.</p>';
+        return;
+    }
+
+    elements.historyList.innerHTML = sessions.map(session => `
+        <div class="history-item" data-session-id="${escapeHTML(session.id)}">
+            <div class="history-info">
+                <span class="history-date">${escapeHTML(new Date(session.startedAt || session.archivedAt).toLocaleString())}</span>
+                <span class="history-meta">${escapeHTML(session.profile.name)} &middot; ${session.laps.length} laps &middot; ${formatTime(session.totalTime)}</span>
+            </div>
+            <div class="history-actions">
+                <button type="button" class="btn-edit" data-history-action="open">Open</button>
+                <button type="button" class="btn-edit" data-history-action="csv">CSV</button>
+                <button type="button" class="btn-edit" data-history-action="json">JSON</button>
+                <button type="button" class="btn-edit" data-history-action="markdown">MD</button>
+                <button type="button" class="btn-edit btn-edit-danger" data-history-action="delete">Delete</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Handle an action button in the history list
+ * @param {string} action - open, delete, or an EXPORT_FORMATS key
+ * @param {string} sessionId - Archived session ID
+ */
+function handleHistoryAction(action, sessionId) {
+    const session = loadHistoryFromStorage().find(candidate => candidate.id === sessionId);
+    if (!session) return;
+
+    if (action === 'open') {
+        const date = new Date(session.startedAt || session.archivedAt).toLocaleString();
+        openReviewSession(session, `History: ${date}`);
+        closePanel(elements.historyPanel);
+    } else if (action === 'delete') {
+        if (confirm('Delete this archived session?')) {
+            deleteHistorySession(sessionId);
+            renderHistoryPanel();
+        }
+    } else {
+        exportSession(action, session);
+    }
+}
+
+// ============================================
+// UI: Statistics Panel
+// ============================================
+
+/**
+ * Render the statistics panel for the selected scope, profile and lap
+ */
+function renderStatsPanel() {
+    const scope = elements.statsScopeSelect.value;
+    const profileName = elements.statsProfileSelect.value;
+
+    // Profile filter lists every profile name that appears in the data
+    const allSessions = getStatsSessions(scope, '');
+    const profileNames = [...new Set(allSessions.map(session => session.profile.name))];
+    elements.statsProfileSelect.innerHTML = '<option value="">All profiles</option>' + profileNames
+        .map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`)
+        .join('');
+    elements.statsProfileSelect.value = profileNames.includes(profileName) ? profileName : '';
+
+    const sessions = getStatsSessions(scope, elements.statsProfileSelect.value);
+    const stats = computeLapPositionStats(sessions);
+
+    // Lap selector for the trend chart
+    const selectedLap = elements.statsLapSelect.value;
+    elements.statsLapSelect.innerHTML = '<option value="">All laps</option>' + stats
+        .map(stat => `<option value="${stat.lapNumber - 1}">Lap ${stat.lapNumber}</option>`)
+        .join('');
+    elements.statsLapSelect.value = selectedLap !== '' && Number(selectedLap) < stats.length ? selectedLap : '';
+
+    if (sessions.length === 0) {
+        elements.statsSummary.textContent = 'No recorded laps yet. Record laps or archive a session to see statistics.';
+        elements.statsTable.innerHTML = '';
+        elements.statsChart.innerHTML = '';
+        return;
+    }
+
+    const lapCount = sessions.reduce((total, session) => total + session.laps.length, 0);
+    elements.statsSummary.textContent = `${sessions.length} session${sessions.length === 1 ? '' : 's'}, ${lapCount} lap${lapCount === 1 ? '' : 's'}`;
+
+    elements.statsTable.innerHTML = `
+        <thead>
+            <tr>
+                <th>Lap</th><th>Runs</th><th>Average</th><th>Best</th><th>Worst</th><th>Median</th>
+                <th>Alarm Fired</th><th>Mean Over/Under</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${stats.map(stat => `
+                <tr>
+                    <td>${stat.lapNumber}</td>
+                    <td>${stat.count}</td>
+                    <td>${formatTime(stat.average)}</td>
+                    <td>${formatTime(stat.best)}</td>
+                    <td>${formatTime(stat.worst)}</td>
+                    <td>${formatTime(stat.median)}</td>
+                    <td>${stat.alarmCount > 0 ? `${stat.firedCount}/${stat.alarmCount} (${Math.round(stat.firedCount / stat.alarmCount * 100)}%)` : '-'}</td>
+                    <td class="${stat.meanVariance === null ? '' : stat.meanVariance > 0 ? 'stat-over' : 'stat-under'}">${stat.meanVariance === null ? '-' : formatSignedTime(stat.meanVariance)}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+
+    const lapIndex = elements.statsLapSelect.value === '' ? null : Number(elements.statsLapSelect.value);
+    elements.statsChart.innerHTML = buildTrendChartSVG(computeVarianceTrend(sessions, lapIndex));
+}
+
+/**
+ * Build an SVG bar chart of over/under per session
+ * Bars above the zero line ran over the alarm target, bars below finished early.
+ * @param {array} points - { label, value } points from computeVarianceTrend()
+ * @returns {string} SVG markup
+ */
+function buildTrendChartSVG(points) {
+    if (points.length === 0) {
+        return '<p class="panel-hint">No laps with alarms to chart.</p>';
+    }
+
+    const width = 700;
+    const height = 220;
+    const padding = { top: 16, right: 12, bottom: 28, left: 70 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const maxMagnitude = Math.max(1000, ...points.map(point => Math.abs(point.value)));
+    const zeroY = padding.top + plotHeight / 2;
+    const scaleY = value => zeroY - (value / maxMagnitude) * (plotHeight / 2);
+    const slot = plotWidth / points.length;
+    const barWidth = Math.max(2, Math.min(40, slot * 0.6));
+
+    // Only label every nth bar so labels don't overlap
+    const labelEvery = Math.ceil(points.length / 10);
+
+    const bars = points.map((point, index) => {
+        const x = padding.left + slot * index + (slot - barWidth) / 2;
+        const y = Math.min(scaleY(point.value), zeroY);
+        const barHeight = Math.max(1, Math.abs(scaleY(point.value) - zeroY));
+        const label = index % labelEvery === 0
+            ? `<text x="${x + barWidth / 2}" y="${height - 8}" text-anchor="middle" class="chart-label">${escapeHTML(point.label)}</text>`
+            : '';
+        return `
+            <rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" class="${point.value > 0 ? 'chart-bar-over' : 'chart-bar-under'}">
+                <title>${escapeHTML(point.label)}: ${formatSignedTime(point.value)}</title>
+            </rect>
+            ${label}`;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="trend-chart" role="img" aria-label="Mean over/under per session">
+            <line x1="${padding.left}" y1="${zeroY}" x2="${width - padding.right}" y2="${zeroY}" class="chart-axis" />
+            <text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end" class="chart-label">${formatSignedTime(maxMagnitude)}</text>
+            <text x="${padding.left - 6}" y="${zeroY + 4}" text-anchor="end" class="chart-label">on target</text>
+            <text x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end" class="chart-label">${formatSignedTime(-maxMagnitude)}</text>
+            ${bars}
+        </svg>
+    `;
+}
+
+// ============================================
+// UI: Settings Panel
+// ============================================
+
+/**
+ * Fill the settings form from the current settings
+ */
+function renderSettingsPanel() {
+    elements.timePrecisionSelect.value = settings.timePrecision;
+    elements.snoozeDelayInput.value = formatShorthand(settings.snoozeDelay);
+    elements.soundSelect.innerHTML = buildSoundOptions(null);
+    elements.soundSelect.value = resolveSoundId(settings.alarmSound);
+    elements.volumeInput.value = Math.round(settings.masterVolume * 100);
+    elements.volumeValue.textContent = `${elements.volumeInput.value}%`;
+
+    const custom = loadCustomSound();
+    elements.customSoundName.textContent = custom ? custom.name : 'None uploaded';
+    elements.customSoundRemoveBtn.hidden = !custom;
+
+    elements.alertNotificationInput.checked = settings.alertNotification;
+    elements.alertTitleInput.checked = settings.alertTitleFlash;
+    elements.alertVibrateInput.checked = settings.alertVibrate;
+    elements.alertVibrateInput.disabled = !isVibrationSupported();
+    updateNotificationStatus();
+    renderSpeechSettings();
+    elements.webhookUrlInput.value = settings.webhookUrl;
+    elements.bridgeOriginInput.value = settings.bridgeOrigin;
+    showSettingsError(null);
+
+    keymapEditor.captureAction = null;
+    showKeymapError(null);
+    renderKeymapSettings();
+}
+
+/**
+ * Show whether notifications can be used next to the notification toggle
+ */
+function updateNotificationStatus() {
+    let status;
+    if (!isNotificationSupported()) {
+        status = 'Not supported in this browser';
+    } else if (Notification.permission === 'denied') {
+        status = 'Blocked - allow notifications for this page in the browser\'s site settings';
+    } else if (Notification.permission === 'default') {
+        status = 'The browser will ask for permission';
+    } else {
+        status = '';
+    }
+    elements.alertNotificationInput.disabled = !isNotificationSupported() || Notification.permission === 'denied';
+    elements.notificationStatus.textContent = status;
+}
+
+/**
+ * Fill the spoken announcement fields, disabling them without speech support
+ */
+function renderSpeechSettings() {
+    const supported = isSpeechSupported();
+    elements.speechEnabledInput.checked = settings.speechEnabled;
+    elements.speechRateInput.value = settings.speechRate;
+    elements.speechRateValue.textContent = `${settings.speechRate}\u00d7`;
+    elements.speakLapInput.checked = settings.speakLap;
+    elements.speakWarningInput.checked = settings.speakWarning;
+    elements.speakDueInput.checked = settings.speakDue;
+    elements.speakOverrunInput.checked = settings.speakOverrun;
+    elements.speakBudgetInput.checked = settings.speakBudget;
+    elements.speakScheduleInput.checked = settings.speakSchedule;
+    elements.speechStatus.textContent = supported ? '' : 'Not supported in this browser';
+    [elements.speechEnabledInput, elements.speechVoiceSelect, elements.testSpeechBtn, elements.speechRateInput]
+        .forEach(control => { control.disabled = !supported; });
+    renderSpeechVoiceOptions(settings.speechVoice);
+}
+
+/**
+ * List the browser's voices in the voice picker
+ * @param {string} selectedVoice - voiceURI to select ('' = browser default)
+ */
+function renderSpeechVoiceOptions(selectedVoice) {
+    const voices = isSpeechSupported() ? speechSynthesis.getVoices() : [];
+    elements.speechVoiceSelect.innerHTML = '<option value="">Browser default</option>' + voices
+        .map(voice => `<option value="${escapeHTML(voice.voiceURI)}">${escapeHTML(voice.name)} (${escapeHTML(voice.lang)})</option>`)
+        .join('');
+    // A saved voice that isn't installed here falls back to the default
+    elements.speechVoiceSelect.value = voices.some(voice => voice.voiceURI === selectedVoice) ? selectedVoice : '';
+}
+
+/**
+ * Speak a sample cue with the voice and rate chosen in the settings form
+ */
+function testSelectedVoice() {
+    speak('Lap 3, 1 minute remaining', {
+        voice: elements.speechVoiceSelect.value,
+        rate: Number(elements.speechRateInput.value)
+    });
+}
+
+/**
+ * Play the sound currently chosen in the settings form at the chosen volume
+ * The volume is applied even before the form is saved.
+ */
+function testSelectedSound() {
+    const savedVolume = settings.masterVolume;
+    settings.masterVolume = Number(elements.volumeInput.value) / 100;
+    playAlarmSound({ volume: ALARM_STAGE_VOLUMES.due, sound: elements.soundSelect.value });
+    settings.masterVolume = savedVolume;
+}
+
+/**
+ * Validate the settings form and apply it
+ */
+function submitSettingsForm() {
+    const snoozeDelay = parseTimeString(elements.snoozeDelayInput.value);
+    if (snoozeDelay === null || snoozeDelay < 5000) {
+        showSettingsError('Snooze delay must be a duration of at least 5 seconds');
+        return;
+    }
+
+    const webhookUrl = elements.webhookUrlInput.value.trim();
+    if (webhookUrl !== '' && !isHttpUrl(webhookUrl)) {
+        showSettingsError('Webhook URL must start with http:// or https://');
+        return;
+    }
+    const bridgeOrigin = elements.bridgeOriginInput.value.trim();
+    if (bridgeOrigin !== '' && bridgeOrigin !== '*' && !isOrigin(bridgeOrigin)) {
+        showSettingsError('Embedding page must be an origin like https://example.com, or *');
+        return;
+    }
+
+    settings.snoozeDelay = snoozeDelay;
+    settings.timePrecision = elements.timePrecisionSelect.value;
+    settings.alarmSound = elements.soundSelect.value;
+    settings.masterVolume = Number(elements.volumeInput.value) / 100;
+    settings.alertNotification = elements.alertNotificationInput.checked
+        && isNotificationSupported() && Notification.permission === 'granted';
+    settings.alertTitleFlash = elements.alertTitleInput.checked;
+    settings.alertVibrate = elements.alertVibrateInput.checked;
+    settings.speechEnabled = elements.speechEnabledInput.checked && isSpeechSupported();
+    // Keep the saved voice while the browser hasn't listed its voices yet
+    if (elements.speechVoiceSelect.options.length > 1) {
+        settings.speechVoice = elements.speechVoiceSelect.value;
+    }
+    settings.speechRate = Number(elements.speechRateInput.value);
+    settings.speakLap = elements.speakLapInput.checked;
+    settings.speakWarning = elements.speakWarningInput.checked;
+    settings.speakDue = elements.speakDueInput.checked;
+    settings.speakOverrun = elements.speakOverrunInput.checked;
+    settings.speakBudget = elements.speakBudgetInput.checked;
+    settings.speakSchedule = elements.speakScheduleInput.checked;
+    settings.webhookUrl = webhookUrl;
+    settings.bridgeOrigin = bridgeOrigin;
+    saveSettingsToStorage();
+    updateAlarmControls();
+    // Redraw the times at the (possibly new) precision
+    renderLaps();
+    updateStopwatchDisplay();
+    updateCurrentLapDisplay();
+    closePanel(elements.settingsPanel);
+    showToast('Settings saved');
+}
+
+/**
+ * Check that text is an absolute http(s) URL
+ * @param {string} text - Candidate URL
+ * @returns {boolean}
+ */
+function isHttpUrl(text) {
+    try {
+        return /^https?:$/.test(new URL(text).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check that text is exactly an origin (scheme, host and optional port, no path)
+ * @param {string} text - Candidate origin
+ * @returns {boolean}
+ */
+function isOrigin(text) {
+    return isHttpUrl(text) && new URL(text).origin === text;
+}
+
+/**
+ * Show or clear the settings form's validation error
+ * @param {string|null} message - Error text, or null to clear
+ */
+function showSettingsError(message) {
+    elements.settingsError.textContent = message || '';
+    elements.settingsError.hidden = !message;
+}
+
+// ============================================
+// UI: Toast Messages
+// ============================================
+
+/**
+ * Show a short, non-blocking message at the bottom of the screen
+ * @param {string} message - Message text
+ * @param {object} [options] - { type: 'info' | 'error', duration: ms before it disappears
+ *                              (0 keeps it until its action is clicked),
+ *                              action: { label, onClick } for a button that also dismisses it }
+ * @returns {HTMLElement} The toast element
+ */
+function showToast(message, options = {}) {
+    const { type = 'info', duration = 4000, action = null } = options;
+
+    const toast = document.createElement('div');
+    toast.className = `toast toast-${type}`;
+    toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    toast.textContent = message;
+
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+    elements.toastContainer.appendChild(toast);
+
+    if (duration > 0) {
+        setTimeout(() => toast.remove(), duration);
+    }
+    return toast;
+}
+
+// ============================================
+// Offline Support & Updates (Service Worker)
+// ============================================
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+/**
+ * Register the service worker that caches the app for offline use (see sw.js)
+ * and offer a reload when a new version has been installed
+ * Service workers need http(s); opened from file:// the app simply runs online-only.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+        .then(registration => {
+            // An update installed on an earlier visit is still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdatePrompt(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // No controller yet means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        showUpdatePrompt(worker);
+                    }
+                });
+            });
+        })
+        .catch(error => console.warn('Service worker registration failed:', error));
+
+    // The new version took over (here or from another tab's prompt): load it
+    let isReloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isReloading) return;
+        isReloading = true;
+        location.reload();
+    });
+}
+
+/**
+ * Offer to switch to a newly installed version
+ * The session is saved on every change, so reloading loses nothing.
+ * @param {ServiceWorker} worker - The installed, waiting service worker
+ */
+function showUpdatePrompt(worker) {
+    showToast('Update available', {
+        duration: 0,
+        action: {
+            label: 'Reload',
+            onClick: () => worker.postMessage({ type: 'skipWaiting' })
+        }
+    });
+}
+
+// ============================================
+// UI: Keyboard Shortcuts
+// ============================================
+
+// Settings keymap editor: the action waiting for a key, or null
+const keymapEditor = {
+    captureAction: null
+};
+
+/**
+ * List of every shortcut for the help and the sidebar hints: the keymap
+ * in KEYMAP_ACTIONS order, then the fixed keys
+ * @returns {array} [[keyText, label]]
+ */
+function getShortcutList() {
+    const bound = Object.entries(KEYMAP_ACTIONS)
+        .filter(([action]) => keymap[action])
+        .map(([action, definition]) => [formatKeyCombo(keymap[action]), definition.label]);
+    return [...bound, ['1-9', 'Switch timer'], ['?', 'All shortcuts'], ['Esc', 'Close panel']];
+}
+
+/**
+ * Render the sidebar's shortcut hints from the live keymap
+ */
+function renderKeyboardHints() {
+    const lines = getShortcutList()
+        .map(([key, label]) => `${escapeHTML(key)} = ${escapeHTML(label)}`)
+        .join('<br>');
+    elements.keyboardHints.innerHTML = `<strong>Shortcuts:</strong><br>${lines}`;
+}
+
+/**
+ * Render the shortcut help overlay from the live keymap and open it
+ */
+function openHelpPanel() {
+    elements.helpList.innerHTML = getShortcutList()
+        .map(([key, label]) => `<dt><kbd>${escapeHTML(key)}</kbd></dt><dd>${escapeHTML(label)}</dd>`)
+        .join('');
+    openPanel(elements.helpPanel);
+}
+
+/**
+ * Render the keymap editor in the Settings panel: one button per action
+ * showing its key (or the prompt while it is being recorded)
+ */
+function renderKeymapSettings() {
+    elements.keymapList.innerHTML = Object.entries(KEYMAP_ACTIONS)
+        .map(([action, definition]) => {
+            const isCapturing = keymapEditor.captureAction === action;
+            const keyText = isCapturing ? 'Press a key\u2026' : (keymap[action] ? formatKeyCombo(keymap[action]) : 'Not set');
+            return `<div class="keymap-row">
+                <span>${escapeHTML(definition.label)}</span>
+                <button type="button" class="btn-mini keymap-key${isCapturing ? ' capturing' : ''}"
+                        data-keymap-action="${action}" aria-pressed="${isCapturing}">${escapeHTML(keyText)}</button>
+            </div>`;
+        })
+        .join('');
+}
+
+/**
+ * Start recording a new key for an action (clicking it again cancels)
+ * @param {string} action - Action ID
+ */
+function startKeyCapture(action) {
+    keymapEditor.captureAction = keymapEditor.captureAction === action ? null : action;
+    showKeymapError(null);
+    renderKeymapSettings();
+    const button = elements.keymapList.querySelector(`[data-keymap-action="${action}"]`);
+    if (button && keymapEditor.captureAction !== null) {
+        button.focus();
+    }
+}
+
+/**
+ * Handle a keydown while recording a binding: Escape cancels, modifier keys
+ * alone are waited through, anything else is bound unless it conflicts
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleKeyCapture(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+    const action = keymapEditor.captureAction;
+    keymapEditor.captureAction = null;
+
+    if (e.code !== 'Escape') {
+        const conflict = e.key === '?' ? '? is reserved for the shortcut help' : setKeyBinding(action, getKeyCombo(e));
+        showKeymapError(conflict);
+        if (conflict === null) {
+            renderKeyboardHints();
+            updateUndoControls();
+        }
+    }
+    // Re-rendering also drops focus from the button, so the key can't click it
+    renderKeymapSettings();
+}
+
+/**
+ * Show or clear the keymap editor's conflict message
+ * @param {string|null} message - Error text, or null to clear
+ */
+function showKeymapError(message) {
+    elements.keymapError.textContent = message || '';
+    elements.keymapError.hidden = !message;
+}
+
+/**
+ * Enter or leave fullscreen
+ */
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen().catch(error => console.warn('Could not leave fullscreen:', error));
+    } else if (document.documentElement.requestFullscreen) {
+        document.documentElement.requestFullscreen().catch(error => console.warn('Could not enter fullscreen:', error));
+    } else {
+        showToast('Fullscreen is not supported in this browser', { type: 'error' });
+    }
+}
+
+// ============================================
+// UI Rendering: Timers
+// ============================================
+
+/**
+ * Redraw everything that shows the focused timer
+ * Used after switching or removing timers and on startup.
+ */
+function renderActiveTimer() {
+    renderTimerTabs();
+    renderTimerIdentity();
+    updateTimerControls();
+    updateStopwatchDisplay();
+    updateCurrentLapDisplay();
+    renderLaps();
+    renderProfileSection();
+    updateAlarmControls();
+    updateUndoControls();
+}
+
+/**
+ * Render one tab per timer (name, color, live time and state)
+ */
+function renderTimerTabs() {
+    elements.timerTabs.innerHTML = state.timers
+        .map((timer, index) => `
+            <button type="button" class="timer-tab" role="tab" data-timer-id="${escapeHTML(timer.id)}"
+                    style="--timer-color: ${escapeHTML(timer.color)}" title="${index < 9 ? `Press ${index + 1} to focus` : ''}">
+                <span class="timer-tab-dot" aria-hidden="true"></span>
+                <span class="timer-tab-name">${escapeHTML(timer.name)}</span>
+                <span class="timer-tab-time"></span>
+                <span class="timer-tab-state visually-hidden"></span>
+            </button>
+        `)
+        .join('');
+    updateTimerTabs();
+}
+
+/**
+ * Update the timer tabs' times and states in place
+ * Runs on every display frame, so it only touches text and classes.
+ */
+function updateTimerTabs() {
+    elements.timerTabs.querySelectorAll('.timer-tab').forEach(tab => {
+        const timer = state.timers.find(candidate => candidate.id === tab.dataset.timerId);
+        if (!timer) return;
+
+        const isActive = isActiveTimer(timer);
+        const isRinging = getActiveAlarmLap(timer) !== null;
+        tab.classList.toggle('active', isActive);
+        tab.classList.toggle('running', timer.isRunning);
+        tab.classList.toggle('ringing', isRinging);
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.querySelector('.timer-tab-time').textContent = formatTime(getTimerElapsedTime(timer));
+
+        // The running / ringing colors, for screen readers
+        const stateText = isRinging ? ', alarm ringing' : timer.isRunning ? ', running' : '';
+        const stateElement = tab.querySelector('.timer-tab-state');
+        if (stateElement.textContent !== stateText) {
+            stateElement.textContent = stateText;
+        }
+    });
+}
+
+/**
+ * Show whether another tab runs the timing (this tab then only mirrors it)
+ */
+function renderTabSyncStatus() {
+    elements.tabSyncStatus.hidden = isTabLeader();
+}
+
+/**
+ * Show the focused timer's name and color in the editable fields
+ */
+function renderTimerIdentity() {
+    const timer = getActiveTimer();
+
+    if (document.activeElement !== elements.timerNameInput) {
+        elements.timerNameInput.value = timer.name;
+    }
+    elements.timerColorInput.value = timer.color;
+    elements.timerRemoveBtn.disabled = state.timers.length <= 1;
+    elements.timerSidebar.style.setProperty('--timer-color', timer.color);
+}
+
+/**
+ * Enable the Undo / Redo buttons when the focused timer has steps to take,
+ * naming the action in their tooltips
+ */
+function updateUndoControls() {
+    const timer = getActiveTimer();
+    if (!timer) return;
+
+    const undoStep = timer.undoStack[timer.undoStack.length - 1];
+    const redoStep = timer.redoStack[timer.redoStack.length - 1];
+    elements.undoBtn.disabled = !undoStep;
+    elements.redoBtn.disabled = !redoStep;
+    const shortcut = action => keymap[action] ? ` (${formatKeyCombo(keymap[action])})` : '';
+    elements.undoBtn.title = undoStep ? `Undo ${undoStep.label}${shortcut('undo')}` : 'Nothing to undo';
+    elements.redoBtn.title = redoStep ? `Redo ${redoStep.label}${shortcut('redo')}` : 'Nothing to redo';
+}
+
+/**
+ * Undo the focused timer's last action and say what was undone
+ */
+function undoActiveTimer() {
+    const label = undoAction(getActiveTimer());
+    showToast(label ? `Undone: ${label}` : 'Nothing to undo');
+}
+
+/**
+ * Redo the focused timer's last undone action and say what was redone
+ */
+function redoActiveTimer() {
+    const label = redoAction(getActiveTimer());
+    showToast(label ? `Redone: ${label}` : 'Nothing to redo');
+}
+
+/**
+ * Set the Start/Pause, Lap and Reset buttons for the focused timer
+ */
+function updateTimerControls() {
+    const timer = getActiveTimer();
+    const hasLaps = timer.laps.length > 0;
+    const isComplete = isSessionComplete(timer);
+
+    if (timer.isRunning) {
+        elements.startPauseBtn.textContent = 'Pause';
+    } else if (isComplete) {
+        elements.startPauseBtn.textContent = 'Done';
+    } else {
+        elements.startPauseBtn.textContent = hasLaps ? 'Resume' : 'Start';
+    }
+    elements.startPauseBtn.disabled = isComplete;
+    elements.lapBtn.disabled = !hasLaps || isComplete;
+    elements.resetBtn.disabled = !hasLaps;
+}
+
+/**
+ * Update the stopwatch display with the focused timer's elapsed time
+ */
+function updateStopwatchDisplay() {
+    setTimeDisplay(elements.stopwatchTime, formatPreciseTime(getTimerElapsedTime(getActiveTimer())));
+}
+
+/**
+ * Show a time in one of the big displays, with any fraction of a second
+ * in its own (smaller) element
+ * @param {HTMLElement} element - #stopwatch-time or #current-lap-time
+ * @param {string} text - Formatted time, e.g. "00:01:23.45"
+ */
+function setTimeDisplay(element, text) {
+    const [whole, fraction] = text.split('.');
+    element.querySelector('.time-whole').textContent = whole;
+    element.querySelector('.time-fraction').textContent = fraction === undefined ? '' : `.${fraction}`;
+}
+
+/**
+ * Update the current lap display for the focused timer
+ * Counts up, or in countdown mode down to the pending lap's alarm
+ */
+function updateCurrentLapDisplay() {
+    const timer = getActiveTimer();
+    const lapIndex = timer.laps.length - 1;
+    const lap = timer.laps[lapIndex];
+    const hasAlarm = timer.currentLapStartTime !== null && lap && !lap.isRecorded && lap.alarmDuration > 0;
+
+    updateRunSheetDisplay(timer);
+    updateBudgetDisplay(timer);
+    updateScheduleDisplay(timer);
+
+    if (settings.displayMode !== 'countdown' || !hasAlarm) {
+        elements.currentLapLabel.textContent = lap && lap.segment ? lap.segment : 'Current Lap';
+        elements.currentLapInfo.classList.remove('has-countdown', 'countdown-overrun');
+        // Before the first start this shows 00:00:00
+        setTimeDisplay(elements.currentLapTime, formatPreciseTime(getCurrentLapElapsedTime(timer)));
+        return;
+    }
+
+    // Countdown: time left to the alarm, negative once the lap runs over
+    const remaining = lap.alarmDuration - getCurrentLapElapsedTime(timer);
+    const isOverrun = remaining < 0;
+    const progress = Math.min(1, 1 - remaining / lap.alarmDuration);
+
+    elements.currentLapLabel.textContent = isOverrun ? 'Overrun' : 'Time to Alarm';
+    setTimeDisplay(elements.currentLapTime, isOverrun ? formatPreciseSignedTime(remaining) : formatPreciseTime(remaining));
+    elements.currentLapInfo.classList.add('has-countdown');
+    elements.currentLapInfo.classList.toggle('countdown-overrun', isOverrun);
+    elements.lapRingProgress.style.strokeDashoffset = String(100 - progress * 100);
+
+    const progressFill = document.querySelector(`[data-lap-index="${lapIndex}"] .lap-progress-fill`);
+    if (progressFill) {
+        progressFill.style.width = `${progress * 100}%`;
+    }
+}
+
+/**
+ * Show the upcoming run-sheet segment and how far ahead or behind
+ * schedule the timer is (hidden unless its profile is a run sheet)
+ * @param {object} timer - Timer instance
+ */
+function updateRunSheetDisplay(timer) {
+    const isShown = isRunSheet(getTimerProfile(timer));
+    elements.runSheetInfo.hidden = !isShown;
+    if (!isShown) return;
+
+    const upcoming = getUpcomingSegment(timer);
+    elements.runSheetNext.textContent = upcoming !== null ? upcoming : 'End of run sheet';
+
+    // Round to whole seconds so the readout doesn't flicker around zero
+    const delta = getScheduleDelta(timer);
+    const seconds = delta === null ? 0 : Math.round(delta / 1000);
+    elements.runSheetDelta.textContent = seconds === 0
+        ? 'On schedule'
+        : `${formatTime(Math.abs(seconds) * 1000)} ${seconds > 0 ? 'behind' : 'ahead'}`;
+    elements.runSheetDelta.classList.toggle('schedule-behind', seconds > 0);
+    elements.runSheetDelta.classList.toggle('schedule-ahead', seconds < 0);
+}
+
+// Time of day, e.g. "14:32", for the projected finish
+const CLOCK_TIME_FORMAT = new Intl.DateTimeFormat(undefined, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Show how much of the session budget is left and when the planned laps
+ * are projected to finish (hidden unless the timer's profile has a budget)
+ * @param {object} timer - Timer instance
+ */
+function updateBudgetDisplay(timer) {
+    const budget = getSessionBudget(timer);
+    elements.budgetInfo.hidden = !budget;
+    if (!budget) return;
+
+    const elapsed = getTimerElapsedTime(timer);
+    const remaining = budget.duration - elapsed;
+    const isOver = remaining < 0;
+    elements.budgetRemaining.textContent = isOver ? `${formatTime(-remaining)} over` : formatTime(remaining);
+    elements.budgetRemaining.classList.toggle('budget-low', !isOver && budget.warnings.length > 0 && remaining <= budget.warnings[0]);
+    elements.budgetRemaining.classList.toggle('budget-over', isOver);
+
+    // The time of day assumes a paused timer is resumed now
+    const projected = getProjectedFinish(timer);
+    const projectedOver = projected - budget.duration;
+    const finishesAt = CLOCK_TIME_FORMAT.format(Date.now() + projected - elapsed);
+    elements.budgetProjection.textContent = `${formatTime(projected)} (${finishesAt})`
+        + (projectedOver > 0 ? `, ${formatTime(projectedOver)} over` : '');
+    elements.budgetProjection.classList.toggle('budget-over', projectedOver > 0);
+}
+
+/**
+ * Show the countdown to the timer's scheduled start, and the prompt for a
+ * missed start (each hidden when there is none)
+ * @param {object} timer - Timer instance
+ */
+function updateScheduleDisplay(timer) {
+    const schedule = timer.schedule;
+    const isArmed = isStartScheduled(timer);
+    elements.scheduleInfo.hidden = !isArmed;
+    if (isArmed) {
+        // Round up, so the countdown reaches 00:00:00 as the timer starts
+        const startsIn = Math.ceil(Math.max(0, schedule.nextAt - Date.now()) / 1000) * 1000;
+        elements.scheduleCountdown.textContent = formatTime(startsIn);
+        elements.scheduleSummary.textContent = `At ${CLOCK_TIME_FORMAT.format(schedule.nextAt)}`
+            + (schedule.daily ? ', every day' : '')
+            + (schedule.alertLead > 0 ? `, alert ${formatShorthand(schedule.alertLead)} before` : '');
+    }
+
+    const isMissed = Boolean(schedule && schedule.missedAt !== null) && !isSessionInProgress(timer);
+    elements.scheduleMissed.hidden = !isMissed;
+    if (isMissed) {
+        const clockTime = CLOCK_TIME_FORMAT.format(schedule.missedAt);
+        elements.scheduleMissedText.textContent = `The scheduled start at ${clockTime} was missed.`;
+        elements.scheduleBackdateBtn.textContent = `Start from ${clockTime}`;
+    }
+}
+
+/**
+ * Switch the current lap display between counting up and counting down
+ * to the alarm; the choice is saved with the settings
+ * @param {string} mode - 'countup' or 'countdown'
+ */
+function setDisplayMode(mode) {
+    settings.displayMode = mode === 'countdown' ? 'countdown' : 'countup';
+    saveSettingsToStorage();
+    applyDisplayMode();
+}
+
+/**
+ * Update the page for the current display mode
+ */
+function applyDisplayMode() {
+    const isCountdown = settings.displayMode === 'countdown';
+    document.body.classList.toggle('countdown-mode', isCountdown);
+    elements.displayModeBtn.textContent = isCountdown ? 'Count up' : 'Countdown';
+    elements.displayModeBtn.setAttribute('aria-pressed', String(isCountdown));
+    updateCurrentLapDisplay();
+}
+
+// ============================================
+// UI Rendering: Profile Manager
+// ============================================
+
+/**
+ * Render the profile selector and the focused timer's profile with its duration list
+ */
+function renderProfileSection() {
+    const activeProfile = getTimerProfile(getActiveTimer());
+
+    elements.profileSelect.innerHTML = state.profiles
+        .map(profile => `<option value="${escapeHTML(profile.id)}">${escapeHTML(profile.name)}</option>`)
+        .join('');
+    elements.profileSelect.value = activeProfile.id;
+
+    elements.profileDurationsTitle.textContent = isRunSheet(activeProfile)
+        ? `${activeProfile.name}: Run Sheet`
+        : `${activeProfile.name}: Alarm Durations`;
+    elements.defaultAlarmsList.innerHTML = activeProfile.durations.length > 0
+        ? activeProfile.durations
+            .map((duration, index) => {
+                const label = isRunSheet(activeProfile)
+                    ? `${index + 1}. ${escapeHTML(activeProfile.segments[index])}`
+                    : `Lap ${index + 1}`;
+                return `<li><strong>${label}:</strong> ${formatDurationLabel(duration)}</li>`;
+            })
+            .join('')
+        : '<li>No alarms</li>';
+    elements.profileRuleText.textContent = [
+        describeProfileRule(activeProfile),
+        describeAutoAdvance(activeProfile),
+        describeAlarmStages(activeProfile.stages),
+        describeSessionBudget(activeProfile.budget)
+    ]
+        .filter(Boolean)
+        .join(' ');
+
+    updateRunSheetDisplay(getActiveTimer());
+    updateBudgetDisplay(getActiveTimer());
+    updateProfileControls();
+}
+
+/**
+ * Describe what happens to laps after the end of a profile's list
+ * @param {object} profile - Alarm profile
+ * @returns {string} Human-readable description
+ */
+function describeProfileRule(profile) {
+    const count = profile.durations.length;
+    if (count === 0) return '';
+
+    switch (profile.rule) {
+        case 'cycle':
+            return `After Lap ${count}, durations start again from Lap 1.`;
+        case 'none':
+            return `Laps after Lap ${count} have no alarm.`;
+        default:
+            return `Lap ${count + 1} onwards: ${formatDurationLabel(profile.durations[count - 1])}.`;
+    }
+}
+
+/**
+ * Describe a profile's auto-advance setting
+ * @param {object} profile - Alarm profile
+ * @returns {string} Human-readable description, or empty when laps are recorded by hand
+ */
+function describeAutoAdvance(profile) {
+    if (!profile.autoAdvance) return '';
+    return profile.rounds > 0
+        ? `Laps advance automatically when due; stops after ${profile.rounds} round${profile.rounds === 1 ? '' : 's'}.`
+        : 'Laps advance automatically when due.';
+}
+
+/**
+ * Describe a set of alarm stages, e.g. for the profile info
+ * @param {object} stages - { warningLead, repeatInterval, escalate }
+ * @returns {string} Human-readable description
+ */
+function describeAlarmStages(stages) {
+    const parts = [];
+    if (stages.warningLead > 0) {
+        parts.push(`Warning ${formatDurationLabel(stages.warningLead)} before each alarm.`);
+    }
+    if (stages.repeatInterval > 0) {
+        parts.push(`Repeats every ${formatDurationLabel(stages.repeatInterval)} while over${stages.escalate ? ', getting louder' : ''}.`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Describe a profile's session budget, e.g. for the profile info
+ * @param {object} budget - { duration, warnings }
+ * @returns {string} Human-readable description ('' without a budget)
+ */
+function describeSessionBudget(budget) {
+    if (!budget || budget.duration <= 0) return '';
+
+    const warnings = budget.warnings.length > 0
+        ? `, with warnings at ${budget.warnings.map(formatDurationLabel).join(', ')} left`
+        : '';
+    return `Session budget ${formatDurationLabel(budget.duration)}${warnings}.`;
+}
+
+/**
+ * Build <option> tags for every alarm sound
+ * @param {string|null} defaultLabel - Label of a leading "use default" option (value ''), or null for none
+ * @returns {string} HTML string
+ */
+function buildSoundOptions(defaultLabel) {
+    const hasCustom = loadCustomSound() !== null;
+    const options = Object.entries(SOUND_LIBRARY)
+        .filter(([id]) => id !== 'custom' || hasCustom)
+        .map(([id, sound]) => `<option value="${id}">${escapeHTML(sound.label)}</option>`);
+
+    if (defaultLabel !== null) {
+        options.unshift(`<option value="">${escapeHTML(defaultLabel)}</option>`);
+    }
+    return options.join('');
+}
+
+/**
+ * Parse the warning / repeat inputs of a stage editor
+ * Empty or "0" turns a stage off.
+ * @param {string} warningText - Warning lead time
+ * @param {string} repeatText - Overrun repeat interval
+ * @param {boolean} escalate - Louder each repeat
+ * @returns {object|string} Stage settings, or an error message
+ */
+function parseAlarmStageInputs(warningText, repeatText, escalate) {
+    const parseOptional = text => text.trim() === '' ? 0 : parseTimeString(text);
+
+    const warningLead = parseOptional(warningText);
+    if (warningLead === null) {
+        return `Warning: "${warningText}" is not a valid duration`;
+    }
+    const repeatInterval = parseOptional(repeatText);
+    if (repeatInterval === null) {
+        return `Repeat: "${repeatText}" is not a valid duration`;
+    }
+    if (repeatInterval > 0 && repeatInterval < 5000) {
+        return 'Repeat interval must be at least 5 seconds';
+    }
+
+    return { warningLead, repeatInterval, escalate };
+}
+
+/**
+ * Validate the session budget fields of the profile editor
+ * @param {string} budgetText - Budget ('' for none)
+ * @param {string} warningsText - Comma-separated amounts of time left to warn at
+ * @returns {object|string} { duration, warnings }, or an error message
+ */
+function parseSessionBudgetInputs(budgetText, warningsText) {
+    const duration = budgetText.trim() === '' ? 0 : parseTimeString(budgetText);
+    if (duration === null) {
+        return `Session budget: "${budgetText}" is not a valid duration`;
+    }
+
+    const entries = warningsText.split(',').map(text => text.trim()).filter(text => text !== '');
+    const warnings = [];
+    for (let i = 0; i < entries.length; i++) {
+        const warning = parseTimeString(entries[i]);
+        if (warning === null || warning <= 0) {
+            return `Budget warning: "${entries[i]}" is not a valid duration`;
+        }
+        if (duration > 0 && warning >= duration) {
+            return `Budget warning: ${formatShorthand(warning)} must be less than the budget`;
+        }
+        warnings.push(warning);
+    }
+
+    return { duration, warnings };
+}
+
+/**
+ * Lock or unlock the profile controls depending on whether the focused
+ * timer has a session in progress
+ */
+function updateProfileControls() {
+    const timer = getActiveTimer();
+    const locked = isSessionInProgress(timer);
+
+    elements.profileSelect.disabled = locked;
+    elements.profileEditBtn.disabled = locked;
+    elements.profileDeleteBtn.disabled = locked || state.profiles.length <= 1 || isProfileInUse(timer.profileId);
+    elements.profileLockHint.hidden = !locked;
+
+    if (locked) {
+        closeProfileEditor();
+    }
+}
+
+/**
+ * Open the profile editor form
+ * @param {object|null} profile - Profile to edit, or null for a new profile
+ */
+function openProfileEditor(profile) {
+    elements.profileEditor.dataset.profileId = profile ? profile.id : '';
+    elements.profileNameInput.value = profile ? profile.name : '';
+    elements.profileDurationsInput.value = profile
+        ? profile.durations
+            .map((duration, index) => isRunSheet(profile)
+                ? `${profile.segments[index]}: ${formatTime(duration)}`
+                : formatTime(duration))
+            .join('\n')
+        : '';
+    elements.profileRuleSelect.value = profile ? profile.rule : 'repeat-last';
+    elements.profileAutoInput.checked = profile ? profile.autoAdvance : false;
+    elements.profileRoundsInput.value = profile && profile.rounds > 0 ? String(profile.rounds) : '';
+    const stages = normalizeAlarmStages(profile ? profile.stages : null);
+    elements.profileWarningInput.value = formatShorthand(stages.warningLead);
+    elements.profileRepeatInput.value = formatShorthand(stages.repeatInterval);
+    elements.profileEscalateInput.checked = stages.escalate;
+    elements.profileSoundSelect.innerHTML = buildSoundOptions('App default');
+    elements.profileSoundSelect.value = profile ? profile.sound : '';
+    const budget = normalizeSessionBudget(profile ? profile.budget : null);
+    elements.profileBudgetInput.value = budget.duration > 0 ? formatShorthand(budget.duration) : '';
+    elements.profileBudgetWarningsInput.value = budget.warnings.map(formatShorthand).join(', ');
+    elements.profileBudgetSoundSelect.innerHTML = buildSoundOptions('App default');
+    elements.profileBudgetSoundSelect.value = budget.sound;
+    showProfileError(null);
+
+    elements.profileEditor.hidden = false;
+    elements.profileNameInput.focus();
+}
+
+/**
+ * Close the profile editor form without saving
+ */
+function closeProfileEditor() {
+    elements.profileEditor.hidden = true;
+    showProfileError(null);
+}
+
+/**
+ * Validate the profile editor form and save it
+ * The saved profile becomes the focused timer's profile
+ */
+function submitProfileEditor() {
+    const name = elements.profileNameInput.value.trim();
+    if (name === '') {
+        showProfileError('Give the profile a name');
+        return;
+    }
+
+    const entries = parseProfileEntries(elements.profileDurationsInput.value);
+    if (entries.length === 0) {
+        showProfileError('Add at least one lap duration');
+        return;
+    }
+
+    // Either every entry is a named segment (a run sheet) or none is
+    const isNamed = entries[0].name !== null;
+    const durations = [];
+    for (let i = 0; i < entries.length; i++) {
+        if ((entries[i].name !== null) !== isNamed) {
+            showProfileError(`Lap ${i + 1}: name every segment or none (e.g. "Front page: 5:00")`);
+            return;
+        }
+        const duration = parseTimeString(entries[i].duration);
+        if (duration === null || duration <= 0) {
+            showProfileError(`Lap ${i + 1}: "${entries[i].duration}" is not a valid duration`);
+            return;
+        }
+        durations.push(duration);
+    }
+
+    const roundsText = elements.profileRoundsInput.value.trim();
+    const rounds = roundsText === '' ? 0 : Number(roundsText);
+    if (!Number.isInteger(rounds) || rounds < 0) {
+        showProfileError(`Rounds: "${roundsText}" is not a whole number`);
+        return;
+    }
+
+    const stages = parseAlarmStageInputs(
+        elements.profileWarningInput.value,
+        elements.profileRepeatInput.value,
+        elements.profileEscalateInput.checked
+    );
+    if (typeof stages === 'string') {
+        showProfileError(stages);
+        return;
+    }
+
+    const budget = parseSessionBudgetInputs(elements.profileBudgetInput.value, elements.profileBudgetWarningsInput.value);
+    if (typeof budget === 'string') {
+        showProfileError(budget);
+        return;
+    }
+    budget.sound = elements.profileBudgetSoundSelect.value;
+
+    const profile = saveProfile({
+        id: elements.profileEditor.dataset.profileId || null,
+        name,
+        durations,
+        segments: isNamed ? entries.map(entry => entry.name) : [],
+        rule: elements.profileRuleSelect.value,
+        autoAdvance: elements.profileAutoInput.checked,
+        rounds,
+        stages,
+        sound: elements.profileSoundSelect.value,
+        budget
+    });
+
+    closeProfileEditor();
+    setTimerProfile(getActiveTimer(), profile.id);
+}
+
+/**
+ * Split the profile editor's duration list into entries
+ * A line is either a run-sheet segment ("Front page: 5:00", split at the
+ * last colon followed by a space) or one or more comma-separated durations.
+ * @param {string} text - Textarea contents
+ * @returns {object[]} [{ name: string|null, duration: string }]
+ */
+function parseProfileEntries(text) {
+    const entries = [];
+    text.split('\n').forEach(line => {
+        const segment = line.match(/^(.*\S)\s*:\s+(\S.*)$/);
+        if (segment) {
+            entries.push({ name: segment[1].trim(), duration: segment[2].trim() });
+            return;
+        }
+        line.split(',')
+            .map(entry => entry.trim())
+            .filter(entry => entry !== '')
+            .forEach(duration => entries.push({ name: null, duration }));
+    });
+    return entries;
+}
+
+/**
+ * Show or clear the profile editor's validation error
+ * @param {string|null} message - Error text, or null to clear
+ */
+function showProfileError(message) {
+    elements.profileError.textContent = message || '';
+    elements.profileError.hidden = !message;
+}
+
+// ============================================
+// UI Rendering
+// ============================================
+
+/**
+ * Render the focused timer's laps with their times, alarms, and edit controls
+ */
+function renderLaps() {
+    if (state.reviewSession) {
+        renderReviewSession();
+        return;
     }
 
-    elements.lapsContainer.innerHTML = state.laps
+    const timer = getActiveTimer();
+    if (timer.laps.length === 0) {
+        elements.lapsContainer.innerHTML = '<p class="empty-state" role="listitem">No laps yet. Press Start and then Lap to begin.</p>';
+        return;
+    }
+
+    elements.lapsContainer.innerHTML = timer.laps
         .map((lap, index) => createLapElement(lap, index))
         .join('');
 
@@ -482,134 +6312,513 @@ function renderLaps() {
 }
 
 /**
- * Create HTML for a single lap item
- * @param {object} lap - Lap object
- * @param {number} index - Lap index (0-based)
- * @returns {string} HTML string
+ * Create HTML for a single lap item
+ * @param {object} lap - Lap object
+ * @param {number} index - Lap index (0-based)
+ * @param {object} [options] - { readOnly: omit the alarm editor (review mode) }
+ * @returns {string} HTML string
+ */
+function createLapElement(lap, index, options = {}) {
+    const lapNumber = index + 1;
+    const alarmDurationFormatted = formatTime(lap.alarmDuration);
+    const recordedTimeFormatted = formatPreciseTime(lap.recordedTime);
+    const isRecorded = lap.isRecorded;
+    const { statusClass, statusText, stateClass } = getLapStatus(lap);
+    
+    const itemClass = stateClass ? `lap-item ${stateClass}` : 'lap-item';
+    const stages = lap.stages || DEFAULT_ALARM_STAGES;
+    const toggleClass = lap.enabled ? 'btn-toggle-alarm enabled' : 'btn-toggle-alarm';
+    const toggleText = lap.enabled ? 'Alarm On' : 'Alarm Off';
+    const segmentName = lap.segment ? `<span class="lap-segment">${escapeHTML(lap.segment)}</span>` : '';
+
+    return `
+        <div class="${itemClass}" role="listitem" data-lap-index="${index}">
+            <div class="lap-header">
+                <span class="lap-number">Lap ${lapNumber}</span>
+                ${segmentName}
+                <span class="lap-flags">${getLapFlagsText(lap)}</span>
+                <span class="lap-status ${statusClass}"><span class="visually-hidden">Alarm status: </span><span class="lap-status-text">${statusText}</span></span>
+            </div>
+            
+            <div class="lap-times">
+                <div class="time-info">
+                    <span class="time-label">Lap Time</span>
+                    <span class="time-value lap-time-value">${recordedTimeFormatted}</span>
+                </div>
+                <div class="time-info">
+                    <span class="time-label">Alarm At</span>
+                    <span class="time-value alarm-at-value">${alarmDurationFormatted}</span>
+                </div>
+                ${lap.segment ? createSegmentVarianceElement(lap) : ''}
+            </div>
+            ${lap.note ? `<p class="lap-note">${escapeHTML(lap.note)}</p>` : ''}
+            ${isRecorded || options.readOnly ? '' : `<div class="lap-progress" aria-hidden="true">
+                <span class="lap-progress-fill"></span>
+            </div>`}
+
+            ${options.readOnly ? '' : `<div class="alarm-edit">
+                <label for="alarm-input-${index}">Alarm</label>
+                <input type="text" id="alarm-input-${index}" class="alarm-input alarm-target-input"
+                       value="${alarmDurationFormatted}" placeholder="MM:SS" autocomplete="off"
+                       aria-describedby="alarm-error-${index}">
+                <div class="alarm-buttons">
+                    <button type="button" class="btn-mini btn-mini-save" data-action="save-alarm">Set</button>
+                    <button type="button" class="${toggleClass}" data-action="toggle-alarm"
+                            aria-pressed="${lap.enabled}" ${isRecorded ? 'disabled' : ''}>${toggleText}</button>
+                </div>
+            </div>
+            ${isRecorded ? '' : `<details class="stage-edit">
+                <summary>Alarm stages</summary>
+                <div class="stage-fields">
+                    <label>Warn before
+                        <input type="text" class="alarm-input stage-warning-input" value="${formatShorthand(stages.warningLead)}" autocomplete="off">
+                    </label>
+                    <label>Repeat every
+                        <input type="text" class="alarm-input stage-repeat-input" value="${formatShorthand(stages.repeatInterval)}" autocomplete="off">
+                    </label>
+                    <label class="stage-checkbox">
+                        <input type="checkbox" class="stage-escalate-input" ${stages.escalate ? 'checked' : ''}> Louder each repeat
+                    </label>
+                    <label>Sound
+                        <select class="profile-select stage-sound-select">${buildSoundOptions('App default')}</select>
+                    </label>
+                    <button type="button" class="btn-mini btn-mini-save" data-action="save-stages">Apply</button>
+                </div>
+            </details>`}
+            ${isRecorded ? createLapEditElement(lap) : ''}
+            <p class="alarm-error" id="alarm-error-${index}" role="alert" hidden></p>`}
+        </div>
+    `;
+}
+
+/**
+ * Create HTML for a recorded lap's editor: note, boundary, split and delete
+ * @param {object} lap - Recorded lap object
+ * @returns {string} HTML string
+ */
+function createLapEditElement(lap) {
+    return `<details class="stage-edit lap-edit">
+                <summary>Edit lap</summary>
+                <div class="stage-fields">
+                    <label class="lap-note-field">Note
+                        <input type="text" class="alarm-input lap-note-input" value="${escapeHTML(lap.note || '')}"
+                               maxlength="${LAP_NOTE_MAX_LENGTH}" autocomplete="off">
+                    </label>
+                    <button type="button" class="btn-mini btn-mini-save" data-action="save-note">Save note</button>
+                    <label>Lap time
+                        <input type="text" class="alarm-input lap-boundary-input" value="${formatPreciseTime(lap.recordedTime)}" autocomplete="off">
+                    </label>
+                    <button type="button" class="btn-mini btn-mini-save" data-action="adjust-boundary">Move end</button>
+                    <label>Split at
+                        <input type="text" class="alarm-input lap-split-input" placeholder="MM:SS" autocomplete="off">
+                    </label>
+                    <button type="button" class="btn-mini btn-mini-save" data-action="split-lap">Split</button>
+                    <button type="button" class="btn-mini btn-mini-cancel" data-action="delete-lap">Delete lap</button>
+                </div>
+            </details>`;
+}
+
+/**
+ * Create HTML for a run-sheet lap's variance against its segment target
+ * Shown once the lap is recorded; the pending segment shows a dash.
+ * @param {object} lap - Lap object with a segment
+ * @returns {string} HTML string
+ */
+function createSegmentVarianceElement(lap) {
+    const { text, className } = getSegmentVarianceDisplay(lap);
+
+    return `<div class="time-info">
+                    <span class="time-label">Over/Under</span>
+                    <span class="${className}">${text}</span>
+                </div>`;
+}
+
+/**
+ * Work out the text and classes of a lap's variance readout
+ * @param {object} lap - Lap object with a segment
+ * @returns {object} { text, className }
+ */
+function getSegmentVarianceDisplay(lap) {
+    const variance = lap.isRecorded ? getLapVariance(lap) : null;
+    if (variance === null) {
+        return { text: '-', className: 'time-value segment-variance-value' };
+    }
+    return {
+        text: formatPreciseSignedTime(variance),
+        className: `time-value segment-variance-value ${variance > 0 ? 'variance-over' : 'variance-under'}`
+    };
+}
+
+/**
+ * Describe how a lap's alarm was handled (snoozes, silence) for its card
+ * @param {object} lap - Lap object
+ * @returns {string} e.g. "Snoozed \u00d72 \u00b7 Silenced", or empty
+ */
+function getLapFlagsText(lap) {
+    const flags = [];
+    if (lap.snoozeCount > 0) {
+        flags.push(lap.snoozeUntil !== null && !lap.isRecorded
+            ? `Snoozed \u00d7${lap.snoozeCount} (until ${formatTime(lap.snoozeUntil)})`
+            : `Snoozed \u00d7${lap.snoozeCount}`);
+    }
+    if (lap.silenced) {
+        flags.push('Silenced');
+    }
+    if (lap.autoAdvance && lap.enabled && !lap.isRecorded) {
+        flags.push('Auto-advance');
+    }
+    return flags.join(' \u00b7 ');
+}
+
+/**
+ * Enable the Silence / Snooze buttons only while the focused timer's alarm
+ * is active (and keep the timer tabs, title flash and notifications in step)
+ */
+function updateAlarmControls() {
+    const hasActiveAlarm = getActiveAlarmLap(getActiveTimer()) !== null;
+    elements.silenceBtn.disabled = !hasActiveAlarm;
+    elements.snoozeBtn.disabled = !hasActiveAlarm;
+    elements.snoozeBtn.textContent = `Snooze ${formatShorthand(settings.snoozeDelay)}`;
+    updateTimerTabs();
+    updateAlarmAlerts();
+}
+
+/**
+ * Work out a lap's status badge and card state from its alarm stage
+ * @param {object} lap - Lap object
+ * @returns {object} { statusClass, statusText, stateClass }
+ */
+function getLapStatus(lap) {
+    if (lap.isRecorded) {
+        return lap.autoRecorded
+            ? { statusClass: 'status-auto', statusText: 'Auto', stateClass: 'lap-done lap-auto' }
+            : { statusClass: 'status-done', statusText: 'Done', stateClass: 'lap-done' };
+    }
+
+    switch (lap.alarmStage) {
+        case 'warning':
+            return { statusClass: 'status-warning', statusText: 'Warning', stateClass: 'alarm-warning' };
+        case 'due':
+            return { statusClass: 'status-triggered', statusText: 'Triggered', stateClass: 'alarm-triggered' };
+        case 'overrun':
+            return {
+                statusClass: 'status-overrun',
+                statusText: `Overrun \u00d7${lap.overrunCount}`,
+                stateClass: 'alarm-triggered alarm-overrun'
+            };
+        default:
+            return { statusClass: 'status-pending', statusText: 'Pending', stateClass: '' };
+    }
+}
+
+/**
+ * Update a single lap's UI without re-rendering all laps
+ * More efficient than full re-render. Only the focused timer's laps are shown,
+ * so other timers are ignored.
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of lap to update
+ */
+function updateLapUI(timer, lapIndex) {
+    // The lap list shows a reviewed session; live laps are redrawn on close
+    if (state.reviewSession || !isActiveTimer(timer)) return;
+
+    const lapElement = document.querySelector(`[data-lap-index="${lapIndex}"]`);
+    if (!lapElement) {
+        renderLaps();
+        return;
+    }
+
+    const lap = timer.laps[lapIndex];
+    const elapsedTime = getLapElapsedTime(timer, lapIndex);
+    const alarmDurationFormatted = formatTime(lap.alarmDuration);
+    const elapsedTimeFormatted = formatPreciseTime(elapsedTime);
+    const isRecorded = lap.isRecorded;
+    const { statusClass, statusText, stateClass } = getLapStatus(lap);
+
+    // Update elapsed time
+    const elapsedElement = lapElement.querySelector('.lap-time-value');
+    if (elapsedElement) {
+        elapsedElement.textContent = elapsedTimeFormatted;
+    }
+
+    // Update alarm target and editor controls
+    const alarmAtElement = lapElement.querySelector('.alarm-at-value');
+    if (alarmAtElement) {
+        alarmAtElement.textContent = alarmDurationFormatted;
+    }
+
+    const alarmInput = lapElement.querySelector('.alarm-target-input');
+    if (alarmInput && document.activeElement !== alarmInput) {
+        alarmInput.value = alarmDurationFormatted;
+    }
+
+    const toggleButton = lapElement.querySelector('[data-action="toggle-alarm"]');
+    if (toggleButton) {
+        toggleButton.textContent = lap.enabled ? 'Alarm On' : 'Alarm Off';
+        toggleButton.classList.toggle('enabled', lap.enabled);
+        toggleButton.setAttribute('aria-pressed', String(lap.enabled));
+        toggleButton.disabled = isRecorded;
+    }
+
+    const varianceElement = lapElement.querySelector('.segment-variance-value');
+    if (varianceElement) {
+        const { text, className } = getSegmentVarianceDisplay(lap);
+        varianceElement.textContent = text;
+        varianceElement.className = className;
+    }
+
+    const flagsElement = lapElement.querySelector('.lap-flags');
+    if (flagsElement) {
+        flagsElement.textContent = getLapFlagsText(lap);
+    }
+
+    // Update status based on lap state
+    const statusElement = lapElement.querySelector('.lap-status');
+    if (statusElement) {
+        statusElement.querySelector('.lap-status-text').textContent = statusText;
+        statusElement.className = `lap-status ${statusClass}`;
+    }
+
+    // Update item class
+    lapElement.className = stateClass ? `lap-item ${stateClass}` : 'lap-item';
+}
+
+/**
+ * Attach event listeners to lap controls
+ * Must be called after rendering to attach handlers
+ */
+function attachLapEventListeners() {
+    const timer = getActiveTimer();
+    elements.lapsContainer.querySelectorAll('.lap-item').forEach(lapElement => {
+        const lapIndex = parseInt(lapElement.dataset.lapIndex, 10);
+        const alarmInput = lapElement.querySelector('.alarm-target-input');
+        const saveButton = lapElement.querySelector('[data-action="save-alarm"]');
+        const toggleButton = lapElement.querySelector('[data-action="toggle-alarm"]');
+        const saveStagesButton = lapElement.querySelector('[data-action="save-stages"]');
+
+        if (saveButton) {
+            saveButton.addEventListener('click', () => saveLapAlarmInput(timer, lapIndex));
+        }
+
+        if (alarmInput) {
+            alarmInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    saveLapAlarmInput(timer, lapIndex);
+                } else if (e.key === 'Escape') {
+                    // Discard the edit and restore the current value
+                    alarmInput.value = formatTime(timer.laps[lapIndex].alarmDuration);
+                    showLapAlarmError(lapIndex, null);
+                    alarmInput.blur();
+                }
+            });
+            alarmInput.addEventListener('input', () => showLapAlarmError(lapIndex, null));
+        }
+
+        if (toggleButton) {
+            toggleButton.addEventListener('click', () => toggleLapAlarm(timer, lapIndex));
+        }
+
+        if (saveStagesButton) {
+            saveStagesButton.addEventListener('click', () => saveLapStageInputs(timer, lapIndex));
+        }
+
+        const soundSelect = lapElement.querySelector('.stage-sound-select');
+        if (soundSelect) {
+            soundSelect.value = timer.laps[lapIndex].sound || '';
+        }
+
+        const lapEditActions = {
+            'save-note': () => setLapNote(timer, lapIndex, lapElement.querySelector('.lap-note-input').value.trim()),
+            'adjust-boundary': () => saveLapBoundaryInput(timer, lapIndex),
+            'split-lap': () => saveLapSplitInput(timer, lapIndex),
+            'delete-lap': () => {
+                if (!deleteLap(timer, lapIndex)) {
+                    showLapAlarmError(lapIndex, 'The only lap of a finished session cannot be deleted');
+                }
+            }
+        };
+        Object.entries(lapEditActions).forEach(([action, handler]) => {
+            const button = lapElement.querySelector(`[data-action="${action}"]`);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+
+        // Enter in an edit field applies it
+        [['.lap-note-input', 'save-note'], ['.lap-boundary-input', 'adjust-boundary'], ['.lap-split-input', 'split-lap']]
+            .forEach(([selector, action]) => {
+                const input = lapElement.querySelector(selector);
+                if (!input) return;
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        lapEditActions[action]();
+                    }
+                });
+                input.addEventListener('input', () => showLapAlarmError(lapIndex, null));
+            });
+    });
+}
+
+/**
+ * Validate and apply the lap time typed into a recorded lap's editor,
+ * moving its boundary with the next lap
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ */
+function saveLapBoundaryInput(timer, lapIndex) {
+    const lapElement = document.querySelector(`[data-lap-index="${lapIndex}"]`);
+    if (!lapElement) return;
+
+    const lap = timer.laps[lapIndex];
+    const recordedTime = parseTimeString(lapElement.querySelector('.lap-boundary-input').value);
+    if (recordedTime === null || recordedTime <= 0) {
+        showLapAlarmError(lapIndex, 'Enter a lap time like 4:30, 90s or 4m30s');
+        return;
+    }
+    // Leave the lap alone if the field still shows its time
+    if (recordedTime === parseTimeString(formatPreciseTime(lap.recordedTime))) return;
+
+    if (!adjustLapBoundary(timer, lapIndex, recordedTime)) {
+        const nextLap = timer.laps[lapIndex + 1];
+        showLapAlarmError(lapIndex, nextLap
+            ? `Lap time must be less than ${formatPreciseTime(lap.recordedTime + getLapElapsedTime(timer, lapIndex + 1))} (the end of the next lap)`
+            : 'The last lap of a finished session has no next lap to move into');
+    }
+}
+
+/**
+ * Validate and apply the split point typed into a recorded lap's editor
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
+ */
+function saveLapSplitInput(timer, lapIndex) {
+    const lapElement = document.querySelector(`[data-lap-index="${lapIndex}"]`);
+    if (!lapElement) return;
+
+    const offset = parseTimeString(lapElement.querySelector('.lap-split-input').value);
+    if (offset === null || !splitLap(timer, lapIndex, offset)) {
+        showLapAlarmError(lapIndex, `Split at a time between 00:00:00 and ${formatPreciseTime(timer.laps[lapIndex].recordedTime)}`);
+    }
+}
+
+/**
+ * Validate and apply the alarm stage settings typed into a lap's editor
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
  */
-function createLapElement(lap, index) {
-    const lapNumber = index + 1;
-    const alarmDurationFormatted = formatTime(lap.alarmDuration);
-    const recordedTimeFormatted = formatTime(lap.recordedTime);
-    const isTriggered = lap.triggered;
-    const isRecorded = lap.isRecorded;
-    
-    // Status: "Done" if recorded, "Triggered" if alarm triggered, "Pending" otherwise
-    let statusClass, statusText;
-    if (isRecorded) {
-        statusClass = 'status-done';
-        statusText = 'Done';
-    } else if (isTriggered) {
-        statusClass = 'status-triggered';
-        statusText = 'Triggered';
-    } else {
-        statusClass = 'status-pending';
-        statusText = 'Pending';
+function saveLapStageInputs(timer, lapIndex) {
+    const lapElement = document.querySelector(`[data-lap-index="${lapIndex}"]`);
+    if (!lapElement) return;
+
+    const stages = parseAlarmStageInputs(
+        lapElement.querySelector('.stage-warning-input').value,
+        lapElement.querySelector('.stage-repeat-input').value,
+        lapElement.querySelector('.stage-escalate-input').checked
+    );
+    if (typeof stages === 'string') {
+        showLapAlarmError(lapIndex, stages);
+        return;
     }
-    
-    const itemClass = isRecorded ? 'lap-item lap-done' : isTriggered ? 'lap-item alarm-triggered' : 'lap-item';
 
-    return `
-        <div class="${itemClass}" data-lap-index="${index}">
-            <div class="lap-header">
-                <span class="lap-number">Lap ${lapNumber}</span>
-                <span class="lap-status ${statusClass}">${statusText}</span>
-            </div>
-            
-            <div class="lap-times">
-                <div class="time-info">
-                    <span class="time-label">Lap Time</span>
-                    <span class="time-value">${recordedTimeFormatted}</span>
-                </div>
-                <div class="time-info">
-                    <span class="time-label">Alarm At</span>
-                    <span class="time-value">${alarmDurationFormatted}</span>
-                </div>
-            </div>
-        </div>
-    `;
+    showLapAlarmError(lapIndex, null);
+    updateLapAlarmSettings(timer, lapIndex, {
+        sound: lapElement.querySelector('.stage-sound-select').value || null,
+        stages
+    });
 }
 
 /**
- * Update a single lap's UI without re-rendering all laps
- * More efficient than full re-render
- * @param {number} lapIndex - Index of lap to update
+ * Validate and apply the alarm time typed into a lap's editor
+ * @param {object} timer - Timer instance
+ * @param {number} lapIndex - Index of the lap
  */
-function updateLapUI(lapIndex) {
+function saveLapAlarmInput(timer, lapIndex) {
     const lapElement = document.querySelector(`[data-lap-index="${lapIndex}"]`);
-    if (!lapElement) {
-        renderLaps();
-        return;
-    }
+    const alarmInput = lapElement && lapElement.querySelector('.alarm-target-input');
+    if (!alarmInput) return;
 
-    const lap = state.laps[lapIndex];
-    const elapsedTime = getLapElapsedTime(lapIndex);
-    const alarmDurationFormatted = formatTime(lap.alarmDuration);
-    const elapsedTimeFormatted = formatTime(elapsedTime);
-    const isTriggered = lap.triggered;
-    const isRecorded = lap.isRecorded;
-
-    // Update elapsed time
-    const elapsedElement = lapElement.querySelector('.lap-times .time-value');
-    if (elapsedElement) {
-        elapsedElement.textContent = elapsedTimeFormatted;
+    const durationMs = parseTimeString(alarmInput.value);
+    if (durationMs === null) {
+        showLapAlarmError(lapIndex, 'Enter a time like 4:30, 1:02:00, 90s or 4m30s');
+        return;
     }
-
-    // Update status based on lap state
-    const statusElement = lapElement.querySelector('.lap-status');
-    if (statusElement) {
-        if (isRecorded) {
-            statusElement.textContent = 'Done';
-            statusElement.className = 'lap-status status-done';
-        } else if (isTriggered) {
-            statusElement.textContent = 'Triggered';
-            statusElement.className = 'lap-status status-triggered';
-        } else {
-            statusElement.textContent = 'Pending';
-            statusElement.className = 'lap-status status-pending';
-        }
+    if (durationMs <= 0) {
+        showLapAlarmError(lapIndex, 'Alarm time must be greater than zero');
+        return;
     }
 
-    // Update item class
-    if (isRecorded) {
-        lapElement.classList.add('lap-done');
-        lapElement.classList.remove('alarm-triggered');
-    } else if (isTriggered) {
-        lapElement.classList.add('alarm-triggered');
-        lapElement.classList.remove('lap-done');
-    } else {
-        lapElement.classList.remove('alarm-triggered');
-        lapElement.classList.remove('lap-done');
-    }
+    showLapAlarmError(lapIndex, null);
+    alarmInput.blur();
+    updateLapAlarmDuration(timer, lapIndex, durationMs);
 }
 
 /**
- * Attach event listeners to lap controls
- * Must be called after rendering to attach handlers
+ * Show or clear the validation error under a lap's alarm editor
+ * @param {number} lapIndex - Index of the lap
+ * @param {string|null} message - Error text, or null to clear
  */
-function attachLapEventListeners() {
-    // Event listeners removed - alarm duration and disable controls are no longer displayed
+function showLapAlarmError(lapIndex, message) {
+    const lapElement = document.querySelector(`[data-lap-index="${lapIndex}"]`);
+    if (!lapElement) return;
+
+    const errorElement = lapElement.querySelector('.alarm-error');
+    const alarmInput = lapElement.querySelector('.alarm-target-input');
+    if (errorElement) {
+        errorElement.textContent = message || '';
+        errorElement.hidden = !message;
+    }
+    if (alarmInput) {
+        alarmInput.classList.toggle('invalid', Boolean(message));
+        alarmInput.setAttribute('aria-invalid', String(Boolean(message)));
+    }
 }
 
 /**
- * Parse time string in MM:SS format to milliseconds
- * @param {string} timeString - Time in MM:SS format
+ * Parse a duration string to milliseconds
+ * Supported formats:
+ * - HH:MM:SS, MM:SS, M:SS (minutes and seconds must be below 60 when not leading)
+ * - SS (plain seconds)
+ * - A fraction on the seconds in any of these: "00:01:23.45", "83.5"
+ * - Unit shorthand: "90s", "4m30s", "1h", "1h 15m"
+ * @param {string} timeString - Duration text
  * @returns {number|null} Duration in milliseconds, or null if invalid
  */
 function parseTimeString(timeString) {
-    // Support formats: MM:SS, M:SS, SS
-    const parts = timeString.split(':').map(p => parseInt(p, 10));
+    if (typeof timeString !== 'string') return null;
+
+    const input = timeString.trim().toLowerCase();
+    if (input === '') return null;
+
+    // Unit shorthand: any of h, m, s in that order, e.g. "4m30s" or "1h 5m"
+    const unitMatch = input.match(/^(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?\s*(?:(\d+)\s*s)?$/);
+    if (unitMatch && /[hms]$/.test(input)) {
+        const [, hours, minutes, seconds] = unitMatch.map(value => Number(value || 0));
+        return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+    }
 
-    if (parts.length === 2) {
-        const [minutes, seconds] = parts;
-        if (!isNaN(minutes) && !isNaN(seconds) && seconds < 60) {
-            return (minutes * 60 + seconds) * 1000;
+    // Colon-separated: HH:MM:SS, MM:SS or SS; the seconds may have a
+    // fraction (00:01:23.45), as shown at tenths or hundredths precision
+    const parts = input.split(':');
+    const lastIndex = parts.length - 1;
+    if (parts.length > 3 || parts.some((part, index) => !(index === lastIndex ? /^\d+(\.\d{1,3})?$/ : /^\d+$/).test(part))) {
+        return null;
+    }
+
+    const values = parts.map(part => parseFloat(part));
+    if (values.length === 3) {
+        const [hours, minutes, seconds] = values;
+        if (minutes < 60 && seconds < 60) {
+            return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
         }
-    } else if (parts.length === 1) {
-        const seconds = parts[0];
-        if (!isNaN(seconds)) {
-            return seconds * 1000;
+    } else if (values.length === 2) {
+        const [minutes, seconds] = values;
+        if (seconds < 60) {
+            return Math.round((minutes * 60 + seconds) * 1000);
         }
+    } else {
+        return Math.round(values[0] * 1000);
     }
 
     return null;
@@ -619,63 +6828,479 @@ function parseTimeString(timeString) {
 // Event Listeners: Button Controls
 // ============================================
 
+// The buttons act on the focused timer.
+// Any live stopwatch action leaves review mode so the live laps are visible again
+
 elements.startPauseBtn.addEventListener('click', () => {
-    if (state.isRunning) {
-        pauseStopwatch();
+    const timer = getActiveTimer();
+    closeReviewSession();
+    if (timer.isRunning) {
+        pauseStopwatch(timer);
     } else {
-        startStopwatch();
+        startStopwatch(timer);
     }
 });
 
-elements.lapBtn.addEventListener('click', createLap);
+elements.lapBtn.addEventListener('click', () => {
+    closeReviewSession();
+    createLap(getActiveTimer());
+});
+
+elements.silenceBtn.addEventListener('click', () => silenceAlarm(getActiveTimer()));
+
+elements.snoozeBtn.addEventListener('click', () => snoozeAlarm(getActiveTimer()));
 
 elements.resetBtn.addEventListener('click', () => {
-    if (confirm('Are you sure you want to reset the stopwatch? All laps will be lost.')) {
-        resetStopwatch();
+    const timer = getActiveTimer();
+    closeReviewSession();
+    const resetStepId = generateId('undo');
+    resetStopwatch(timer, resetStepId);
+
+    // Non-blocking instead of confirm(): the reset can be taken back from the
+    // toast, as long as nothing was done after it
+    showToast('Session reset', {
+        duration: 8000,
+        action: {
+            label: 'Undo',
+            onClick: () => undoAction(timer, resetStepId)
+        }
+    });
+});
+
+elements.undoBtn.addEventListener('click', () => undoActiveTimer());
+
+elements.redoBtn.addEventListener('click', () => redoActiveTimer());
+
+elements.displayModeBtn.addEventListener('click', () => {
+    setDisplayMode(settings.displayMode === 'countdown' ? 'countup' : 'countdown');
+});
+
+// ============================================
+// Event Listeners: Timers
+// ============================================
+
+elements.timerTabs.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-timer-id]');
+    if (tab) {
+        setActiveTimer(tab.dataset.timerId);
+    }
+});
+
+elements.timerAddBtn.addEventListener('click', addTimer);
+
+elements.timerRemoveBtn.addEventListener('click', () => {
+    const timer = getActiveTimer();
+    if (isSessionInProgress(timer)
+        && !confirm(`Remove "${timer.name}"? Its recorded laps are kept in the history.`)) {
+        return;
+    }
+    removeTimer(timer.id);
+});
+
+elements.timerNameInput.addEventListener('change', () => {
+    if (!renameTimer(getActiveTimer(), elements.timerNameInput.value)) {
+        elements.timerNameInput.value = getActiveTimer().name;
+    }
+});
+
+elements.timerNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        elements.timerNameInput.blur();
+    } else if (e.key === 'Escape') {
+        elements.timerNameInput.value = getActiveTimer().name;
+        elements.timerNameInput.blur();
+    }
+});
+
+elements.timerColorInput.addEventListener('input', () => {
+    setTimerColor(getActiveTimer(), elements.timerColorInput.value);
+});
+
+// ============================================
+// Event Listeners: Scheduled Start
+// ============================================
+
+// Fill the editor from the focused timer's schedule as it opens
+elements.scheduleEditor.addEventListener('toggle', () => {
+    if (!elements.scheduleEditor.open) return;
+
+    const schedule = getActiveTimer().schedule;
+    elements.scheduleTimeInput.value = schedule ? schedule.time : '';
+    elements.scheduleDailyInput.checked = Boolean(schedule && schedule.daily);
+    elements.scheduleAlertInput.value = schedule && schedule.alertLead > 0 ? formatShorthand(schedule.alertLead) : '';
+    elements.scheduleError.hidden = true;
+    elements.scheduleTimeInput.focus();
+});
+
+elements.scheduleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const parsed = parseScheduleInputs(elements.scheduleTimeInput.value, elements.scheduleAlertInput.value);
+    if (typeof parsed === 'string') {
+        elements.scheduleError.textContent = parsed;
+        elements.scheduleError.hidden = false;
+        return;
+    }
+
+    const timer = getActiveTimer();
+    const startsAt = armScheduledStart(timer, { ...parsed, daily: elements.scheduleDailyInput.checked });
+    elements.scheduleEditor.open = false;
+    showToast(`${timer.name} starts at ${CLOCK_TIME_FORMAT.format(startsAt)}`);
+});
+
+elements.scheduleCancelBtn.addEventListener('click', () => cancelScheduledStart(getActiveTimer()));
+
+elements.scheduleLateBtn.addEventListener('click', () => {
+    closeReviewSession();
+    startMissedSchedule(getActiveTimer(), false);
+});
+
+elements.scheduleBackdateBtn.addEventListener('click', () => {
+    closeReviewSession();
+    startMissedSchedule(getActiveTimer(), true);
+});
+
+elements.scheduleDismissBtn.addEventListener('click', () => clearMissedStart(getActiveTimer()));
+
+// ============================================
+// Event Listeners: Export & Import
+// ============================================
+
+elements.exportMenu.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-export-format]');
+    if (!button) return;
+
+    exportSession(button.dataset.exportFormat);
+    elements.exportMenu.open = false;
+});
+
+elements.importBtn.addEventListener('click', () => elements.importFileInput.click());
+
+elements.importFileInput.addEventListener('change', () => {
+    const file = elements.importFileInput.files[0];
+    // Clear the input so importing the same file again still fires 'change'
+    elements.importFileInput.value = '';
+    if (file) {
+        importSessionFile(file);
+    }
+});
+
+elements.reviewCloseBtn.addEventListener('click', closeReviewSession);
+
+// ============================================
+// Event Listeners: Panels & History
+// ============================================
+
+elements.historyBtn.addEventListener('click', () => {
+    renderHistoryPanel();
+    openPanel(elements.historyPanel);
+});
+
+elements.historyList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-history-action]');
+    if (!button) return;
+
+    const item = button.closest('[data-session-id]');
+    handleHistoryAction(button.dataset.historyAction, item.dataset.sessionId);
+});
+
+elements.statsBtn.addEventListener('click', () => {
+    renderStatsPanel();
+    openPanel(elements.statsPanel);
+});
+
+[elements.statsScopeSelect, elements.statsProfileSelect, elements.statsLapSelect].forEach(select => {
+    select.addEventListener('change', renderStatsPanel);
+});
+
+elements.settingsBtn.addEventListener('click', () => {
+    renderSettingsPanel();
+    openPanel(elements.settingsPanel);
+});
+
+elements.keymapList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-keymap-action]');
+    if (button) {
+        startKeyCapture(button.dataset.keymapAction);
+    }
+});
+
+elements.keymapResetBtn.addEventListener('click', () => {
+    keymapEditor.captureAction = null;
+    resetKeymap();
+    showKeymapError(null);
+    renderKeymapSettings();
+    renderKeyboardHints();
+    updateUndoControls();
+});
+
+elements.helpCustomizeBtn.addEventListener('click', () => {
+    closePanel(elements.helpPanel);
+    elements.settingsBtn.click();
+});
+
+elements.settingsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitSettingsForm();
+});
+
+elements.volumeInput.addEventListener('input', () => {
+    elements.volumeValue.textContent = `${elements.volumeInput.value}%`;
+});
+
+elements.testSoundBtn.addEventListener('click', testSelectedSound);
+
+elements.speechRateInput.addEventListener('input', () => {
+    elements.speechRateValue.textContent = `${elements.speechRateInput.value}\u00d7`;
+});
+
+elements.testSpeechBtn.addEventListener('click', testSelectedVoice);
+
+// Ask for notification permission as soon as the toggle is switched on (needs the click)
+elements.alertNotificationInput.addEventListener('change', () => {
+    if (!elements.alertNotificationInput.checked) return;
+
+    requestNotificationPermission().then(permission => {
+        if (permission !== 'granted') {
+            elements.alertNotificationInput.checked = false;
+            showSettingsError('Notifications were not allowed, so they stay off');
+        }
+        updateNotificationStatus();
+    });
+});
+
+elements.customSoundInput.addEventListener('change', () => {
+    const file = elements.customSoundInput.files[0];
+    elements.customSoundInput.value = '';
+    if (!file) return;
+
+    saveCustomSound(file)
+        .then(() => {
+            renderSettingsPanel();
+            elements.soundSelect.value = 'custom';
+            showToast(`Custom sound "${file.name}" saved`);
+        })
+        .catch(error => showSettingsError(error.message));
+});
+
+elements.customSoundRemoveBtn.addEventListener('click', () => {
+    removeCustomSound();
+    renderSettingsPanel();
+});
+
+// ============================================
+// Event Listeners: Audio Unlock
+// ============================================
+
+// Browsers only allow audio after a user gesture: unlock on the first one
+['pointerdown', 'keydown'].forEach(eventName => {
+    document.addEventListener(eventName, function unlockOnGesture() {
+        document.removeEventListener(eventName, unlockOnGesture, true);
+        unlockAudio().catch(error => console.warn('Audio unlock failed:', error));
+    }, true);
+});
+
+elements.audioUnlockBtn.addEventListener('click', () => {
+    unlockAudio()
+        .then(() => {
+            hideAudioBanner();
+            // Replay the alarms the user missed, if they are still active
+            state.timers.forEach(timer => {
+                const lap = getActiveAlarmLap(timer);
+                if (lap && lap.snoozeUntil === null) {
+                    playAlarmSound({ volume: getAlarmStageVolume(lap), sound: lap.sound, owner: timer.id });
+                }
+            });
+        })
+        .catch(reportAudioBlocked);
+});
+
+// Close buttons and clicks on the backdrop close any panel
+document.querySelectorAll('.panel-overlay').forEach(panel => {
+    panel.addEventListener('click', (e) => {
+        if (e.target === panel || e.target.closest('.panel-close')) {
+            closePanel(panel);
+        }
+    });
+});
+
+// ============================================
+// Event Listeners: Profile Manager
+// ============================================
+
+elements.profileSelect.addEventListener('change', () => {
+    setTimerProfile(getActiveTimer(), elements.profileSelect.value);
+});
+
+elements.profileNewBtn.addEventListener('click', () => openProfileEditor(null));
+
+elements.profileEditBtn.addEventListener('click', () => openProfileEditor(getTimerProfile(getActiveTimer())));
+
+elements.profileDeleteBtn.addEventListener('click', () => {
+    const profile = getTimerProfile(getActiveTimer());
+    if (confirm(`Delete the profile "${profile.name}"?`)) {
+        deleteProfile(profile.id);
     }
 });
 
+elements.profileEditor.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitProfileEditor();
+});
+
+elements.profileCancelBtn.addEventListener('click', closeProfileEditor);
+
 // ============================================
 // Event Listeners: Keyboard Shortcuts
 // ============================================
 
 /**
- * Keyboard shortcuts:
- * - Space: Start/Pause
- * - L: Create Lap (only without Ctrl/Cmd)
- * - R: Reset (only without Ctrl/Cmd)
+ * Keyboard shortcuts, looked up in the keymap (see KEYMAP_ACTIONS); all act
+ * on the focused timer. Fixed keys:
+ * - 1-9: Focus timer 1-9
+ * - ?: Shortcut help
+ * - Escape: Close the open panel
+ * While a binding is being recorded in Settings, the key goes to it instead.
  */
 document.addEventListener('keydown', (e) => {
-    // Ignore if user is typing in an input field
-    if (e.target.tagName === 'INPUT') {
-        return;
+    if (keymapEditor.captureAction !== null) {
+        // Settings closed mid-recording: drop it and handle the key normally
+        if (elements.settingsPanel.hidden) {
+            keymapEditor.captureAction = null;
+        } else {
+            handleKeyCapture(e);
+            return;
+        }
     }
 
-    // Don't handle if Ctrl, Cmd, or Alt is pressed (allow browser shortcuts)
-    if (e.ctrlKey || e.metaKey || e.altKey) {
+    // Ignore if user is typing in a form field
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
         return;
     }
 
-    switch (e.code) {
-        case 'Space':
+    // While a panel is open, only Escape (close) is handled, and ? closes the help
+    const openPanelElement = getOpenPanel();
+    if (openPanelElement) {
+        if (e.code === 'Escape' || (e.key === '?' && openPanelElement === elements.helpPanel)) {
             e.preventDefault();
-            elements.startPauseBtn.click();
+            closePanel(openPanelElement);
+        }
+        return;
+    }
+
+    if (e.key === '?') {
+        e.preventDefault();
+        openHelpPanel();
+        return;
+    }
+
+    const action = getKeymapAction(getKeyCombo(e));
+    if (action !== null) {
+        e.preventDefault();
+        runKeymapAction(action);
+        return;
+    }
+
+    const digit = /^Digit([1-9])$/.exec(getKeyCombo(e));
+    if (digit && state.timers[digit[1] - 1]) {
+        e.preventDefault();
+        setActiveTimer(state.timers[digit[1] - 1].id);
+    }
+});
+
+/**
+ * Run the action bound to a shortcut
+ * Buttons are clicked rather than calling the engine directly, so disabled
+ * buttons also block their shortcut.
+ * @param {string} action - Action ID (key of KEYMAP_ACTIONS)
+ */
+function runKeymapAction(action) {
+    const clickIfEnabled = button => {
+        if (!button.disabled) {
+            button.click();
+        }
+    };
+
+    switch (action) {
+        case 'startPause':
+            clickIfEnabled(elements.startPauseBtn);
             break;
-        case 'KeyL':
-            e.preventDefault();
-            if (!elements.lapBtn.disabled) {
-                elements.lapBtn.click();
-            }
+        case 'lap':
+            clickIfEnabled(elements.lapBtn);
             break;
-        case 'KeyR':
-            e.preventDefault();
-            if (!elements.resetBtn.disabled) {
-                elements.resetBtn.click();
-            }
+        case 'reset':
+            clickIfEnabled(elements.resetBtn);
+            break;
+        case 'silence':
+            silenceAlarm(getActiveTimer());
+            break;
+        case 'snooze':
+            snoozeAlarm(getActiveTimer());
+            break;
+        case 'toggleCountdown':
+            elements.displayModeBtn.click();
+            break;
+        case 'openHistory':
+            elements.historyBtn.click();
+            break;
+        case 'undo':
+            undoActiveTimer();
+            break;
+        case 'redo':
+            redoActiveTimer();
+            break;
+        case 'fullscreen':
+            toggleFullscreen();
             break;
     }
+}
+
+// ============================================
+// Event Listeners: Page Visibility
+// ============================================
+
+// Hidden tabs skip the display loop; catch up on alarms and redraw when shown again
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) {
+        resyncClock();
+    }
+    if (!timing.ticking) return;
+
+    if (document.hidden) {
+        stopDisplayLoop();
+    } else {
+        runTimingPass();
+        updateStopwatchDisplay();
+        updateCurrentLapDisplay();
+        updateTimerTabs();
+        startDisplayLoop();
+    }
 });
 
+/**
+ * Count time slept while the page stayed visible (e.g. the lid was closed)
+ * and fire what came due in the meantime
+ */
+function catchUpAfterSleep() {
+    if (!resyncClock() || !timing.ticking) return;
+
+    runTimingPass();
+    updateStopwatchDisplay();
+    updateCurrentLapDisplay();
+    updateTimerTabs();
+}
+
+window.addEventListener('pageshow', catchUpAfterSleep);
+window.addEventListener('focus', catchUpAfterSleep);
+
+// ============================================
+// Event Listeners: Cross-Tab Sync
+// ============================================
+
+window.addEventListener('storage', handleTabStorageEvent);
+
+// Hand the timing over straight away when the leader tab closes
+window.addEventListener('pagehide', releaseLeadership);
+
 // ============================================
 // Initialization
 // ============================================
@@ -684,9 +7309,72 @@ document.addEventListener('keydown', (e) => {
  * Initialize the application
  */
 function init() {
+    loadSettingsFromStorage();
+    initAnnouncements();
+    loadKeymapFromStorage();
+    renderKeyboardHints();
+    loadProfilesFromStorage();
+    initTabSync();
+    restoreTimers();
+    applyDisplayMode();
+    renderActiveTimer();
+    renderTabSyncStatus();
+    updateTicking();
+    registerServiceWorker();
     console.log('Lap-Based Alarm Stopwatch initialized');
-    // Initial UI state is already correct (stopwatch at 00:00:00, buttons properly disabled)
-    // No need to explicitly render empty laps or set up default state
+}
+
+/**
+ * Recreate the saved timers and their sessions
+ * The single session saved by earlier versions becomes the first timer.
+ */
+function restoreTimers() {
+    const saved = loadTimersFromStorage();
+
+    if (saved) {
+        state.timers = saved.timers.map(entry => createTimer(entry));
+        state.activeTimerId = state.timers.some(timer => timer.id === saved.activeTimerId)
+            ? saved.activeTimerId
+            : state.timers[0].id;
+        state.timers.forEach(timer => restoreSession(timer, getSessionStorageKey(timer)));
+        return;
+    }
+
+    const timer = createTimer({ name: 'Timer 1' });
+    state.timers = [timer];
+    state.activeTimerId = timer.id;
+    if (restoreSession(timer, SESSION_STORAGE_KEY)) {
+        // Move the single-timer snapshot to the timer's own key
+        saveSessionToStorage(timer);
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+    saveTimersToStorage();
+}
+
+/**
+ * Restore a timer's in-progress session saved by saveSessionToStorage()
+ * A running stopwatch resumes from wall-clock time, so time spent with the
+ * page closed is counted. An alarm that came due in the meantime fires now.
+ * @param {object} timer - Timer instance
+ * @param {string} storageKey - Where the snapshot is stored
+ * @returns {boolean} Whether a session was restored
+ */
+function restoreSession(timer, storageKey) {
+    const snapshot = loadSessionFromStorage(storageKey);
+    if (!snapshot || snapshot.laps.length === 0) {
+        // A fresh timer already has the right state (00:00:00, no laps)
+        return false;
+    }
+
+    applySessionSnapshot(timer, snapshot);
+
+    if (timer.isRunning) {
+        // Fire any alarm that came due while the page was closed
+        checkLapAlarms(timer);
+    }
+
+    console.log(`Session restored for ${timer.name} (${timer.laps.length} laps, ${timer.isRunning ? 'running' : 'paused'})`);
+    return true;
 }
 
 // Start the application when DOM is ready
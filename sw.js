@@ -0,0 +1,123 @@
+// ============================================
+// Service Worker: Offline Cache
+// ============================================
+
+/**
+ * Precaches the app shell so it starts (and rings) without a network.
+ * Bump CACHE_VERSION whenever a precached file changes: the browser then
+ * installs this worker as an update, the page offers to reload, and the
+ * old cache is deleted once the new version takes over.
+ */
+const CACHE_VERSION = 6;
+const CACHE_PREFIX = 'newspaper-timer-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './script.js',
+    './style.css',
+    './alarm_sound.mp3',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png'
+];
+
+// ============================================
+// Lifecycle
+// ============================================
+
+self.addEventListener('install', (event) => {
+    // Not skipWaiting(): the page asks the user before switching versions
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page's "Reload" button: activate the waiting version now
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+// ============================================
+// Fetch: cache first for the app shell
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(respondFromCache(request));
+});
+
+/**
+ * Answer a request from the precache, falling back to the network
+ * The query string is ignored, so e.g. index.html?bridge=... opens offline too.
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response>}
+ */
+async function respondFromCache(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    if (!cached) {
+        return fetch(request);
+    }
+    if (request.headers.has('range')) {
+        return createRangeResponse(request.headers.get('range'), cached);
+    }
+    return cached;
+}
+
+/**
+ * Serve part of a cached file for a Range request
+ * Media elements ask for byte ranges of the alarm sound; some browsers
+ * won't play it from a full (200) response.
+ * @param {string} rangeHeader - e.g. "bytes=0-" or "bytes=100-199"
+ * @param {Response} cached - Full cached response
+ * @returns {Promise<Response>} 206 response, or 416 for a range outside the file
+ */
+async function createRangeResponse(rangeHeader, cached) {
+    const body = await cached.arrayBuffer();
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    let start = match && match[1] !== '' ? Number(match[1]) : 0;
+    let end = match && match[2] !== '' ? Number(match[2]) : body.byteLength - 1;
+
+    // "bytes=-500" means the last 500 bytes
+    if (match && match[1] === '' && match[2] !== '') {
+        start = Math.max(0, body.byteLength - Number(match[2]));
+        end = body.byteLength - 1;
+    }
+    end = Math.min(end, body.byteLength - 1);
+
+    if (!match || start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${body.byteLength}` }
+        });
+    }
+
+    return new Response(body.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${body.byteLength}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}